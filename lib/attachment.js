@@ -0,0 +1,88 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+// --- Exports
+
+/**
+ * A file attached to a message. We may only know the file's id at first, in
+ * which case the rest of its information gets filled in once we fetch it.
+ */
+function MattermostAttachment(client, id) {
+    assert.object(client, 'client');
+    assert.string(id, 'id');
+
+    this.mma_client = client;
+    this.mma_id = id;
+    this.mma_name = null;
+    this.mma_size = null;
+    this.mma_mime = null;
+    this.mma_ext = null;
+    this.mma_preview = false;
+}
+
+MattermostAttachment.prototype.update = function (info) {
+    assert.object(info, 'info');
+    assert.equal(info.id, this.mma_id, 'info.id === this.mma_id');
+
+    this.mma_name = info.name;
+    this.mma_size = info.size;
+    this.mma_mime = info.mime_type;
+    this.mma_ext = info.extension;
+    this.mma_preview = !!info.has_preview_image;
+};
+
+MattermostAttachment.prototype.id = function () {
+    return this.mma_id;
+};
+
+MattermostAttachment.prototype.name = function () {
+    return this.mma_name;
+};
+
+MattermostAttachment.prototype.size = function () {
+    return this.mma_size;
+};
+
+MattermostAttachment.prototype.mimeType = function () {
+    return this.mma_mime;
+};
+
+MattermostAttachment.prototype.extension = function () {
+    return this.mma_ext;
+};
+
+/*
+ * Whether the server has generated a thumbnail and preview for this file
+ * (which it does for images).
+ */
+MattermostAttachment.prototype.hasPreview = function () {
+    return this.mma_preview;
+};
+
+/*
+ * Write the contents of the file into "stream".
+ */
+MattermostAttachment.prototype.download = function (stream, cb) {
+    this.mma_client.getFile(this.mma_id, '', stream, cb);
+};
+
+MattermostAttachment.prototype.downloadThumbnail = function (stream, cb) {
+    this.mma_client.getFile(this.mma_id, 'thumbnail', stream, cb);
+};
+
+MattermostAttachment.prototype.downloadPreview = function (stream, cb) {
+    this.mma_client.getFile(this.mma_id, 'preview', stream, cb);
+};
+
+module.exports = MattermostAttachment;
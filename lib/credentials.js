@@ -0,0 +1,329 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_child = require('child_process');
+var mod_fs = require('fs');
+var VError = require('verror');
+
+// --- Globals
+
+/*
+ * Files holding secrets must not be accessible by anyone but their owner.
+ */
+var PRIVATE_MODE = parseInt('0600', 8);
+var GROUP_OTHER_BITS = parseInt('0077', 8);
+
+/*
+ * How long to let a credential command run before giving up on it.
+ */
+var COMMAND_TIMEOUT = 30000;
+
+
+// --- Internal helpers
+
+/*
+ * Secrets stored in files or printed by commands usually end with a newline,
+ * which isn't part of the secret.
+ */
+function stripNewline(str) {
+    return str.replace(/\r?\n$/, '');
+}
+
+/*
+ * Read a file, refusing to use it if its permissions would let other users
+ * read it too.
+ */
+function readPrivateFile(path, callback) {
+    mod_fs.stat(path, function (sErr, stats) {
+        if (sErr) {
+            callback(sErr);
+            return;
+        }
+
+        if ((stats.mode & GROUP_OTHER_BITS) !== 0) {
+            callback(new VError({
+                name: 'InsecureFileError',
+                info: {
+                    path: path,
+                    mode: stats.mode
+                }
+            }, 'refusing to use %s: it is accessible by group or others ' +
+                '(try "chmod 600 %s")', path, path));
+            return;
+        }
+
+        mod_fs.readFile(path, 'utf8', callback);
+    });
+}
+
+
+// --- Exports
+
+/*
+ * Credential providers supply a secret (a password or token) by calling
+ * get() with a callback. The secret can be given directly, taken from an
+ * environment variable, printed by a command (e.g., a password manager), or
+ * read from a file that only its owner can access.
+ */
+
+function StaticProvider(value) {
+    assert.string(value, 'value');
+
+    this.cp_value = value;
+}
+
+StaticProvider.prototype.get = function (callback) {
+    setImmediate(callback, null, this.cp_value);
+};
+
+
+function EnvProvider(name) {
+    assert.string(name, 'name');
+
+    this.cp_name = name;
+}
+
+EnvProvider.prototype.get = function (callback) {
+    var value = process.env[this.cp_name];
+
+    if (typeof (value) !== 'string' || value === '') {
+        setImmediate(callback, new VError(
+            'environment variable %s is not set', this.cp_name));
+        return;
+    }
+
+    setImmediate(callback, null, value);
+};
+
+
+function CommandProvider(command) {
+    assert.string(command, 'command');
+
+    this.cp_command = command;
+}
+
+CommandProvider.prototype.get = function (callback) {
+    var command = this.cp_command;
+
+    mod_child.execFile('/bin/sh', [ '-c', command ], {
+        timeout: COMMAND_TIMEOUT
+    }, function (err, stdout) {
+        if (err) {
+            callback(new VError(err, 'credential command %j failed',
+                command));
+            return;
+        }
+
+        var value = stripNewline(stdout);
+        if (value === '') {
+            callback(new VError('credential command %j printed nothing',
+                command));
+            return;
+        }
+
+        callback(null, value);
+    });
+};
+
+
+function FileProvider(path) {
+    assert.string(path, 'path');
+
+    this.cp_path = path;
+}
+
+FileProvider.prototype.get = function (callback) {
+    var path = this.cp_path;
+
+    readPrivateFile(path, function (err, contents) {
+        if (err) {
+            callback(new VError(err, 'failed to read credential from %s',
+                path));
+            return;
+        }
+
+        callback(null, stripNewline(contents));
+    });
+};
+
+
+/*
+ * Create a provider from how it's described in an account's configuration:
+ * either a string to use as-is, or an object whose "type" is one of:
+ *
+ * - "static", with the secret in "value"
+ * - "env", with the variable's name in "name"
+ * - "command", with a shell command to run in "command"
+ * - "file", with the file's location in "path"
+ *
+ * Objects that already have a get() method are used as they are, so that
+ * consumers can supply their own providers.
+ */
+function createProvider(spec) {
+    if (typeof (spec) === 'string') {
+        return new StaticProvider(spec);
+    }
+
+    assert.object(spec, 'spec');
+
+    if (typeof (spec.get) === 'function') {
+        return spec;
+    }
+
+    switch (spec.type) {
+    case 'static':
+        return new StaticProvider(spec.value);
+    case 'env':
+        return new EnvProvider(spec.name);
+    case 'command':
+        return new CommandProvider(spec.command);
+    case 'file':
+        return new FileProvider(spec.path);
+    default:
+        throw new VError('unknown credential provider type %j', spec.type);
+    }
+}
+
+
+/*
+ * Saves the session token that we get after logging in to a file, so that
+ * we can reuse the session the next time we start instead of creating a new
+ * one.
+ */
+function TokenCache(path) {
+    assert.string(path, 'path');
+
+    this.tc_path = path;
+}
+
+/*
+ * Load the cached token, if there is one. If there isn't, then "callback" is
+ * called with null.
+ */
+TokenCache.prototype.load = function (callback) {
+    readPrivateFile(this.tc_path, function (err, contents) {
+        if (err && err.code === 'ENOENT') {
+            callback(null, null);
+            return;
+        }
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var token = contents.trim();
+
+        callback(null, token === '' ? null : token);
+    });
+};
+
+/*
+ * Save a new token. An existing cache file may have looser permissions than
+ * we want, so rather than writing into it, we write the token to a new file
+ * that only we can read, and then rename it into place.
+ */
+TokenCache.prototype.save = function (token, callback) {
+    assert.string(token, 'token');
+
+    var path = this.tc_path;
+    var tmp = path + '.' + process.pid + '.tmp';
+
+    mod_fs.unlink(tmp, function (uErr) {
+        if (uErr && uErr.code !== 'ENOENT') {
+            callback(uErr);
+            return;
+        }
+
+        mod_fs.writeFile(tmp, token + '\n', {
+            mode: PRIVATE_MODE,
+            flag: 'wx'
+        }, function (wErr) {
+            if (wErr) {
+                callback(wErr);
+                return;
+            }
+
+            mod_fs.rename(tmp, path, function (rErr) {
+                if (rErr) {
+                    mod_fs.unlink(tmp, function () {
+                        callback(rErr);
+                    });
+                    return;
+                }
+
+                callback(null);
+            });
+        });
+    });
+};
+
+TokenCache.prototype.clear = function (callback) {
+    mod_fs.unlink(this.tc_path, function (err) {
+        if (err && err.code !== 'ENOENT') {
+            callback(err);
+            return;
+        }
+
+        callback(null);
+    });
+};
+
+
+/*
+ * Describe a credential object of the given type, whose configuration is
+ * kept in the string property "field".
+ */
+function providerSchema(type, field) {
+    var properties = {
+        'type': {
+            type: 'string',
+            enum: [ type ]
+        }
+    };
+
+    properties[field] = {
+        type: 'string'
+    };
+
+    return {
+        type: 'object',
+        required: [ 'type', field ],
+        properties: properties
+    };
+}
+
+/*
+ * How credentials can be described in an account's configuration.
+ */
+var credentialSchema = {
+    oneOf: [
+        {
+            type: 'string'
+        },
+        providerSchema('static', 'value'),
+        providerSchema('env', 'name'),
+        providerSchema('command', 'command'),
+        providerSchema('file', 'path')
+    ]
+};
+
+module.exports = {
+    createProvider: createProvider,
+    credentialSchema: credentialSchema,
+    CommandProvider: CommandProvider,
+    EnvProvider: EnvProvider,
+    FileProvider: FileProvider,
+    StaticProvider: StaticProvider,
+    TokenCache: TokenCache
+};
@@ -14,11 +14,65 @@ var assert = require('assert-plus');
 var mod_jsprim = require('jsprim');
 var mod_mooremachine = require('mooremachine');
 var mod_util = require('util');
+var VError = require('verror');
 
-var MattermostMessage = require('./message');
 var MattermostRoom = require('./room');
+var MentionMatcher = require('./mentions');
 var MattermostUserDB = require('./users');
 var RawMattermostClient = require('./raw');
+var credentialSchema = require('./credentials').credentialSchema;
+
+// --- Globals
+
+var USER_STATUSES = [ 'online', 'away', 'dnd', 'offline' ];
+
+/*
+ * How many channels to fetch at a time when browsing the channel directory.
+ */
+var DIRECTORY_PAGE_SIZE = 60;
+
+/*
+ * How long to wait before trying again when we fail to load our teams or
+ * channels while starting up.
+ */
+var INIT_RETRY_DELAY = 5000;
+
+// --- Internal helpers
+
+/*
+ * Summarize a channel for browsing through the channel directory.
+ */
+function describeChannel(client, channel) {
+    return {
+        id: channel.id,
+        name: channel.name,
+        displayName: channel.display_name,
+        type: channel.type,
+        header: channel.header,
+        purpose: channel.purpose,
+        team: mod_jsprim.hasKey(client.mmc_teams, channel.team_id)
+            ? client.mmc_teams[channel.team_id].name : null,
+        joined: mod_jsprim.hasKey(client.mmc_ids, channel.id)
+    };
+}
+
+/*
+ * Call "func" on each of "items" in turn, stopping at the first error.
+ */
+function forEachSeries(items, func, cb) {
+    var i = 0;
+
+    function next(err) {
+        if (err || i >= items.length) {
+            cb(err || null);
+            return;
+        }
+
+        func(items[i++], next);
+    }
+
+    next(null);
+}
 
 // --- Exports
 
@@ -26,24 +80,91 @@ function MattermostClient(opts) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
     assert.object(opts.account, 'opts.account');
-    assert.string(opts.account.team, 'opts.account.team');
+    assert.optionalString(opts.account.team, 'opts.account.team');
+
+    var teams = opts.account.teams;
+    if (teams !== 'all') {
+        assert.optionalArrayOfString(teams, 'opts.account.teams');
+    }
+
+    assert.ok(opts.account.team || teams,
+        'opts.account.team or opts.account.teams must be provided');
 
     this.mmc_account = opts.account;
     this.mmc_client = new RawMattermostClient(opts);
     this.mmc_log = opts.log;
 
-    this.mmc_team = null;
     this.mmc_user = null;
+    this.mmc_matcher = null;
+
+    /*
+     * The names of the teams we want to be in, or null if we want to be
+     * in all of the ones we're a member of. Channels in teams other than
+     * the default can be named by prefixing them with their team's name
+     * and a slash (e.g., "eng/town-square").
+     */
+    if (teams === 'all') {
+        this.mmc_wanted = null;
+    } else {
+        this.mmc_wanted = (teams || []).slice();
+        if (opts.account.team &&
+            this.mmc_wanted.indexOf(opts.account.team) === -1) {
+            this.mmc_wanted.unshift(opts.account.team);
+        }
+    }
+
+    this.mmc_default = opts.account.team ||
+        (this.mmc_wanted === null ? null : this.mmc_wanted[0]);
 
+    /*
+     * The teams we're in, keyed by id, and the rooms for their channels,
+     * keyed by team id and then by channel name.
+     */
+    this.mmc_teams = {};
     this.mmc_cnames = {};
     this.mmc_dnames = {};
 
     this.mmc_ids = {};
 
+    /*
+     * Callbacks waiting on channels that we're fetching, keyed by id.
+     */
+    this.mmc_fetching = {};
+
+    /*
+     * Channels that we've looked up and found to be in teams that we
+     * aren't using, mapped to their team's id.
+     */
+    this.mmc_others = {};
+
+    /*
+     * Callbacks waiting on direct messages that we're opening, keyed by
+     * the other user's name.
+     */
+    this.mmc_opening = {};
+
     this.mmc_users = new MattermostUserDB({
         client: this.mmc_client
     });
 
+    /*
+     * Pass along changes in the health of our connection, so that
+     * consumers can show whether we're connected.
+     */
+    var self = this;
+
+    this.mmc_client.on('disconnected', function (err) {
+        self.emit('disconnected', err);
+    });
+
+    this.mmc_client.on('reconnecting', function (attempt, delay) {
+        self.emit('reconnecting', attempt, delay);
+    });
+
+    this.mmc_client.on('error', function (err) {
+        self.emit('error', err);
+    });
+
     mod_mooremachine.FSM.call(this, 'init');
 }
 mod_util.inherits(MattermostClient, mod_mooremachine.FSM);
@@ -53,24 +174,28 @@ MattermostClient.prototype.state_init = function (S) {
 
     S.on(this.mmc_client, 'connected', function (user) {
         self.mmc_user = user;
+        self.mmc_matcher = new MentionMatcher(user);
 
-        S.gotoState('init.team');
+        S.gotoState('init.teams');
     });
 };
 
-MattermostClient.prototype.state_init.team = function (S) {
+MattermostClient.prototype.state_init.teams = function (S) {
     var self = this;
 
-    self.mmc_client.getTeamByName(self.mmc_account.team, function (gErr, team) {
-        if (gErr) {
-            self.warn('failed to get team info');
+    self._findTeams(S.callback(function (err, teams) {
+        if (err) {
+            self.mmc_log.warn(err, 'failed to get team info');
+            S.gotoStateTimeout(INIT_RETRY_DELAY, 'init.teams');
             return;
         }
 
-        self.mmc_team = team;
+        teams.forEach(function (team) {
+            self._addTeam(team);
+        });
 
         S.gotoState('init.users');
-    });
+    }));
 };
 
 MattermostClient.prototype.state_init.users = function (S) {
@@ -84,84 +209,916 @@ MattermostClient.prototype.state_init.users = function (S) {
              * all of the users we have active DMs with, at least, and
              * continue fetching user information as we need it.
              */
-            self.log.error(uErr, 'failed to load all users');
+            self.mmc_log.error(uErr, 'failed to load all users');
         }
 
-        S.gotoState('init.channels');
+        self.mmc_users.loadStatuses(function (sErr) {
+            if (sErr) {
+                self.mmc_log.error(sErr, 'failed to load user statuses');
+            }
+
+            S.gotoState('init.channels');
+        });
     });
 };
 
 MattermostClient.prototype.state_init.channels = function (S) {
     var self = this;
 
-    function loadChannel(channel) {
-        var room = new MattermostRoom({
-            client: self.mmc_client,
-            users: self.mmc_users,
-            channel: channel
-        });
+    forEachSeries(self._listTeams(), function (team, cb) {
+        self._loadChannels(team, cb);
+    }, S.callback(function (lErr) {
+        if (lErr) {
+            self.mmc_log.warn(lErr, 'failed to load channels');
+            S.gotoStateTimeout(INIT_RETRY_DELAY, 'init.channels');
+            return;
+        }
+
+        S.gotoState('init.unreads');
+    }));
+};
 
-        self.mmc_ids[channel.id] = room;
+MattermostClient.prototype.state_init.unreads = function (S) {
+    var self = this;
+
+    forEachSeries(self._listTeams(), function (team, cb) {
+        self._loadMemberships(team, cb);
+    }, S.callback(function () {
+        S.gotoState('ready');
+    }));
+};
 
-        if (channel.type !== 'D') {
-            self.mmc_cnames[room.mmr_alias] = room;
+MattermostClient.prototype.state_ready = function (S) {
+    var self = this;
+
+    S.on(self.mmc_client, 'message', function (data, post) {
+        if (self._inOtherTeam(post.channel_id, data.team_id)) {
             return;
         }
 
-        var other = channel.name.split('__').filter(function (uid) {
-            return uid !== self.mmc_user.id;
+        /*
+         * If this is for a channel we don't know about yet (e.g., a
+         * new direct message), then we need to go fetch it first.
+         */
+        self._getRoomById(post.channel_id, function (err, room) {
+            if (err) {
+                self.mmc_log.warn({
+                    err: err,
+                    data: data,
+                    post: post
+                }, 'received message for unknown channel');
+                return;
+            }
+
+            var message = room._createMessage(post, data.sender_name);
+            if (!room.append(message) || post.user_id === self.mmc_user.id) {
+                return;
+            }
+
+            var mentioned = message.mentionsMe() ||
+                (Array.isArray(data.mentions) &&
+                data.mentions.indexOf(self.mmc_user.id) !== -1);
+
+            room._countUnread(mentioned);
+
+            if (mentioned) {
+                self.emit('mention', message, room);
+            }
         });
-        assert.equal(other.length, 1, 'other.length === 1');
+    });
+
+    S.on(self.mmc_client, 'channelViewed', function (data) {
+        if (mod_jsprim.hasKey(self.mmc_ids, data.channel_id)) {
+            self.mmc_ids[data.channel_id]._markViewed();
+        }
+    });
+
+    S.on(self.mmc_client, 'channelCreated', function (data) {
+        self._roomJoined(data.channel_id);
+    });
+
+    S.on(self.mmc_client, 'directAdded', function (_, broadcast) {
+        self._roomJoined(broadcast.channel_id);
+    });
+
+    S.on(self.mmc_client, 'groupAdded', function (_, broadcast) {
+        self._roomJoined(broadcast.channel_id);
+    });
+
+    S.on(self.mmc_client, 'userAdded', function (data, broadcast) {
+        if (data.user_id === self.mmc_user.id) {
+            self._roomJoined(broadcast.channel_id);
+        }
+    });
+
+    S.on(self.mmc_client, 'userRemoved', function (data, broadcast) {
+        var uid = data.user_id || broadcast.user_id;
+        var cid = data.channel_id || broadcast.channel_id;
+
+        if (uid === self.mmc_user.id &&
+            mod_jsprim.hasKey(self.mmc_ids, cid)) {
+            self._removeRoom(self.mmc_ids[cid]);
+        }
+    });
+
+    S.on(self.mmc_client, 'channelDeleted', function (data) {
+        if (mod_jsprim.hasKey(self.mmc_ids, data.channel_id)) {
+            self._removeRoom(self.mmc_ids[data.channel_id]);
+        }
+    });
+
+    S.on(self.mmc_client, 'channelUpdated', function (channel) {
+        if (mod_jsprim.hasKey(self.mmc_ids, channel.id)) {
+            self._updateRoom(self.mmc_ids[channel.id], channel);
+        }
+    });
+
+    S.on(self.mmc_client, 'postEdited', function (_, post) {
+        if (mod_jsprim.hasKey(self.mmc_ids, post.channel_id)) {
+            self.mmc_ids[post.channel_id]._editPost(post);
+        }
+    });
+
+    S.on(self.mmc_client, 'postDeleted', function (_, post) {
+        if (mod_jsprim.hasKey(self.mmc_ids, post.channel_id)) {
+            self.mmc_ids[post.channel_id]._deletePost(post);
+        }
+    });
+
+    S.on(self.mmc_client, 'reactionAdded', function (broadcast, reaction) {
+        if (mod_jsprim.hasKey(self.mmc_ids, broadcast.channel_id)) {
+            self.mmc_ids[broadcast.channel_id]._addReaction(reaction);
+        }
+    });
+
+    S.on(self.mmc_client, 'reactionRemoved', function (broadcast, reaction) {
+        if (mod_jsprim.hasKey(self.mmc_ids, broadcast.channel_id)) {
+            self.mmc_ids[broadcast.channel_id]._removeReaction(reaction);
+        }
+    });
+
+    S.on(self.mmc_client, 'typing', function (obj) {
+        if (mod_jsprim.hasKey(self.mmc_ids, obj.broadcast.channel_id)) {
+            self.mmc_ids[obj.broadcast.channel_id]._userTyping(
+                obj.data.user_id);
+        }
+    });
 
-        room.mmr_other = self.mmc_users.getUser(other[0], null);
-        self.mmc_dnames[other[0]] = room;
+    S.on(self.mmc_client, 'reconnected', function () {
+        self.emit('connected');
+        self._refreshUnreads();
+    });
+
+    S.on(self.mmc_client, 'statusChange', function (data) {
+        self.mmc_users._updateStatus(data.user_id, data.status);
+    });
+
+    S.on(self.mmc_client, 'addedToTeam', function (data) {
+        if (data.user_id === self.mmc_user.id) {
+            self._teamJoined(data.team_id);
+        }
+    });
+
+    S.on(self.mmc_client, 'leftTeam', function (data) {
+        if (data.user_id === self.mmc_user.id &&
+            mod_jsprim.hasKey(self.mmc_teams, data.team_id)) {
+            self._removeTeam(self.mmc_teams[data.team_id]);
+        }
+    });
+
+    S.on(self.mmc_client, 'teamUpdated', function (team) {
+        if (mod_jsprim.hasKey(self.mmc_teams, team.id)) {
+            self._updateTeam(team);
+        }
+    });
+
+    self.emit('connected');
+};
+
+/*
+ * Find the teams that we want to be in: either the ones named in our
+ * account, or every team that we're a member of.
+ */
+MattermostClient.prototype._findTeams = function (cb) {
+    var self = this;
+    var teams = [];
+
+    if (self.mmc_wanted !== null) {
+        forEachSeries(self.mmc_wanted, function (name, next) {
+            self.mmc_client.getTeamByName(name, function (err, team) {
+                if (err) {
+                    next(new VError(err, 'failed to get team %j', name));
+                    return;
+                }
+
+                teams.push(team);
+                next(null);
+            });
+        }, function (err) {
+            cb(err, teams);
+        });
+        return;
     }
 
-    self.mmc_client.getChannelsForUser(self.mmc_user.id, self.mmc_team.id,
-        function (lErr, channels) {
+    self.mmc_client.listTeams(function (lErr, all) {
         if (lErr) {
-            self.log.warn(lErr, 'failed to load channels');
-            S.immediate(function () {
-                S.gotoState('init.channels');
+            cb(new VError(lErr, 'failed to list teams'));
+            return;
+        }
+
+        /*
+         * The list of teams includes open teams that we haven't joined,
+         * so we filter it down to the ones we're actually in.
+         */
+        self.mmc_client.getTeamMembersForUser(self.mmc_user.id,
+            function (mErr, members) {
+            if (mErr) {
+                cb(new VError(mErr, 'failed to load team memberships'));
+                return;
+            }
+
+            var joined = {};
+            members.forEach(function (member) {
+                if (!member.delete_at) {
+                    joined[member.team_id] = true;
+                }
             });
+
+            cb(null, all.filter(function (team) {
+                return mod_jsprim.hasKey(joined, team.id);
+            }));
+        });
+    });
+};
+
+MattermostClient.prototype._listTeams = function () {
+    var self = this;
+
+    return Object.keys(self.mmc_teams).map(function (id) {
+        return self.mmc_teams[id];
+    });
+};
+
+MattermostClient.prototype._getTeamByName = function (name) {
+    var teams = this._listTeams();
+
+    for (var i = 0; i < teams.length; ++i) {
+        if (teams[i].name === name) {
+            return teams[i];
+        }
+    }
+
+    return null;
+};
+
+/*
+ * Returns the team that channel names without a team prefix refer to.
+ */
+MattermostClient.prototype._defaultTeam = function () {
+    if (this.mmc_default !== null) {
+        return this._getTeamByName(this.mmc_default);
+    }
+
+    var teams = this._listTeams();
+
+    return (teams.length > 0 ? teams[0] : null);
+};
+
+/*
+ * Look up the team with the given name, or the default team if no name is
+ * given.
+ */
+MattermostClient.prototype._resolveTeam = function (name) {
+    var team = (name ? this._getTeamByName(name) : this._defaultTeam());
+    if (team !== null) {
+        return team;
+    }
+
+    if (name) {
+        return new VError('unknown team %j', name);
+    }
+
+    return new VError('no default team; use "team/channel" to name channels');
+};
+
+/*
+ * Split a channel name of the form "team/channel" (or just "channel", for
+ * the default team) into its team and channel name.
+ */
+MattermostClient.prototype._parseRoomName = function (name) {
+    var idx = name.indexOf('/');
+    var team = this._resolveTeam(idx === -1 ? null : name.slice(0, idx));
+    if (team instanceof Error) {
+        return team;
+    }
+
+    return {
+        team: team,
+        name: name.slice(idx + 1)
+    };
+};
+
+MattermostClient.prototype._addTeam = function (team) {
+    this.mmc_teams[team.id] = team;
+
+    if (!mod_jsprim.hasKey(this.mmc_cnames, team.id)) {
+        this.mmc_cnames[team.id] = {};
+    }
+};
+
+/*
+ * Load the channels that we're in for a team, and create rooms for any that
+ * we don't already have. Direct and group messages show up in every team's
+ * list of channels, so we only add them once. For rooms that we already
+ * have, we update how many messages they contain.
+ */
+MattermostClient.prototype._loadChannels = function (team, cb) {
+    var self = this;
+
+    self.mmc_client.getChannelsForUser(self.mmc_user.id, team.id,
+        function (err, channels) {
+        if (err) {
+            cb(new VError(err, 'failed to load channels for team %j',
+                team.name));
             return;
         }
 
-        channels.forEach(loadChannel);
+        var added = [];
 
-        S.gotoState('ready');
+        channels.forEach(function (channel) {
+            if (mod_jsprim.hasKey(self.mmc_ids, channel.id)) {
+                self.mmc_ids[channel.id]._setTotal(channel.total_msg_count);
+            } else {
+                added.push(self._addRoom(channel));
+            }
+        });
+
+        cb(null, added);
     });
 };
 
-MattermostClient.prototype.state_ready = function (S) {
+/*
+ * Load our channel memberships for a team, so that we know how many unread
+ * messages each room has. This only affects the unread counts that we show,
+ * so we log any failure and move on.
+ */
+MattermostClient.prototype._loadMemberships = function (team, cb) {
     var self = this;
 
-    S.on(self.mmc_client, 'message', function (data, post) {
-        if (!mod_jsprim.hasKey(self.mmc_ids, post.channel_id)) {
-            // XXX: Should we try to load the channel id?
-            self.mmc_log.warn({
-                data: data,
-                post: post
-            }, 'received message for unknown channel');
+    self.mmc_client.getChannelMembersForUser(self.mmc_user.id, team.id,
+        function (err, members) {
+        if (err) {
+            self.mmc_log.error({
+                err: err,
+                team: team.name
+            }, 'failed to load channel memberships');
+            cb(null);
             return;
         }
 
-        var room = self.mmc_ids[post.channel_id];
-        var speaker = self.mmc_users.getUser(post.user_id, data.sender_name);
-        var message = new MattermostMessage(room, speaker, post);
+        members.forEach(function (member) {
+            if (mod_jsprim.hasKey(self.mmc_ids, member.channel_id)) {
+                self.mmc_ids[member.channel_id]._setMembership(member);
+            }
+        });
 
-        room.append(message);
+        cb(null);
     });
+};
 
-    self.emit('connected');
+/*
+ * While we were disconnected, we may have missed messages in any of our
+ * rooms (including ones that we haven't fetched), or been added to new
+ * rooms. We reload our channels and memberships to catch up on both, the
+ * same way that we do when starting up.
+ */
+MattermostClient.prototype._refreshUnreads = function () {
+    var self = this;
+
+    forEachSeries(self._listTeams(), function (team, cb) {
+        self._loadChannels(team, function (lErr, rooms) {
+            if (lErr) {
+                self.mmc_log.warn(lErr, 'failed to reload channels');
+                cb(null);
+                return;
+            }
+
+            rooms.forEach(function (room) {
+                self.emit('roomAdded', room);
+            });
+
+            self._loadMemberships(team, cb);
+        });
+    }, function () {});
+};
+
+/*
+ * Called when we find out that we've been added to a team. If it's one that
+ * we want to be in, then we load its channels.
+ */
+MattermostClient.prototype._teamJoined = function (id) {
+    var self = this;
+
+    if (mod_jsprim.hasKey(self.mmc_teams, id)) {
+        return;
+    }
+
+    self.mmc_client.getTeamById(id, function (gErr, team) {
+        if (gErr) {
+            self.mmc_log.warn(gErr, 'failed to load new team');
+            return;
+        }
+
+        if (mod_jsprim.hasKey(self.mmc_teams, id) ||
+            (self.mmc_wanted !== null &&
+            self.mmc_wanted.indexOf(team.name) === -1)) {
+            return;
+        }
+
+        self._addTeam(team);
+
+        self._loadChannels(team, function (lErr, rooms) {
+            if (lErr) {
+                self.mmc_log.warn(lErr, 'failed to load new team');
+                return;
+            }
+
+            self.emit('teamAdded', team.name);
+
+            rooms.forEach(function (room) {
+                self.emit('roomAdded', room);
+            });
+
+            self._loadMemberships(team, function () {});
+        });
+    });
+};
+
+/*
+ * Drop a team that we've left, along with all of its channels.
+ */
+MattermostClient.prototype._removeTeam = function (team) {
+    var self = this;
+
+    Object.keys(self.mmc_ids).forEach(function (id) {
+        var room = self.mmc_ids[id];
+        if (room.mmr_team !== null && room.mmr_team.id === team.id) {
+            self._removeRoom(room);
+        }
+    });
+
+    delete self.mmc_teams[team.id];
+    delete self.mmc_cnames[team.id];
+
+    self.emit('teamRemoved', team.name);
+};
+
+MattermostClient.prototype._updateTeam = function (team) {
+    var self = this;
+    var old = self.mmc_teams[team.id];
+
+    self.mmc_teams[team.id] = team;
+
+    /*
+     * If our default team was renamed, then follow it to its new name.
+     */
+    if (self.mmc_default === old.name) {
+        self.mmc_default = team.name;
+    }
+
+    if (self.mmc_wanted !== null) {
+        var idx = self.mmc_wanted.indexOf(old.name);
+        if (idx !== -1) {
+            self.mmc_wanted[idx] = team.name;
+        }
+    }
+
+    Object.keys(self.mmc_cnames[team.id]).forEach(function (name) {
+        self.mmc_cnames[team.id][name].mmr_team = team;
+    });
+
+    self.emit('teamUpdated', old.name, team.name);
+};
+
+/*
+ * Returns the names of the teams that we're in.
+ */
+MattermostClient.prototype.teams = function () {
+    return this._listTeams().map(function (team) {
+        return team.name;
+    });
+};
+
+/*
+ * Create a room for a channel we're in, and add it to our maps. If the room
+ * is a direct message, then it's keyed by the other user's id. Otherwise,
+ * it's keyed by its team and the channel's name.
+ */
+MattermostClient.prototype._addRoom = function (channel) {
+    var self = this;
+    var team = mod_jsprim.hasKey(self.mmc_teams, channel.team_id)
+        ? self.mmc_teams[channel.team_id] : null;
+
+    var room = new MattermostRoom({
+        client: self.mmc_client,
+        users: self.mmc_users,
+        matcher: self.mmc_matcher,
+        team: team,
+        defaultTeam: self._defaultTeam.bind(self),
+        channel: channel
+    });
+
+    self.mmc_ids[channel.id] = room;
+
+    if (channel.type === 'G') {
+        /*
+         * Group messages have an opaque name, so instead of tracking
+         * them by it, we load their members so that we can find and
+         * describe them by who's in them.
+         */
+        room._loadMembers(function (err) {
+            if (err) {
+                self.mmc_log.warn(err, 'failed to load group members');
+            }
+        });
+        return room;
+    }
+
+    if (channel.type !== 'D') {
+        assert.ok(team !== null, 'channel is in one of our teams');
+        self.mmc_cnames[team.id][room.mmr_alias] = room;
+        return room;
+    }
+
+    var other = channel.name.split('__').filter(function (uid) {
+        return uid !== self.mmc_user.id;
+    });
+
+    /*
+     * If we're messaging ourselves, then both ids will be ours.
+     */
+    if (other.length === 0) {
+        other = [ self.mmc_user.id ];
+    }
+
+    assert.equal(other.length, 1, 'other.length === 1');
+
+    room.mmr_other = self.mmc_users.getUser(other[0], null);
+    self.mmc_dnames[other[0]] = room;
+
+    return room;
+};
+
+/*
+ * Get the room for a channel that we've just created or joined, adding it if
+ * we haven't already heard about it over the WebSocket.
+ */
+MattermostClient.prototype._ensureRoom = function (channel) {
+    if (mod_jsprim.hasKey(this.mmc_ids, channel.id)) {
+        return this.mmc_ids[channel.id];
+    }
+
+    var self = this;
+    var room = self._addRoom(channel);
+
+    room._loadMembership(function (err) {
+        if (err) {
+            self.mmc_log.warn(err, 'failed to load channel membership');
+        }
+    });
+
+    self.emit('roomAdded', room);
+
+    return room;
+};
+
+MattermostClient.prototype._removeRoom = function (room) {
+    delete this.mmc_ids[room.mmr_id];
+
+    if (room.mmr_type === 'D') {
+        delete this.mmc_dnames[room.mmr_other.id()];
+    } else if (room.mmr_team !== null) {
+        var names = this.mmc_cnames[room.mmr_team.id];
+        if (names[room.mmr_alias] === room) {
+            delete names[room.mmr_alias];
+        }
+    }
+
+    room._close();
+
+    this.emit('roomRemoved', room);
+};
+
+MattermostClient.prototype._updateRoom = function (room, channel) {
+    if (room.mmr_team !== null) {
+        var names = this.mmc_cnames[room.mmr_team.id];
+        if (names[room.mmr_alias] === room) {
+            delete names[room.mmr_alias];
+            names[channel.name] = room;
+        }
+    }
+
+    room._update(channel);
+
+    this.emit('roomUpdated', room);
+};
+
+/*
+ * Find the room for a channel id, fetching the channel if we don't know
+ * about it yet. Concurrent lookups of the same channel share one request.
+ */
+MattermostClient.prototype._getRoomById = function (id, cb) {
+    var self = this;
+
+    if (mod_jsprim.hasKey(self.mmc_ids, id)) {
+        cb(null, self.mmc_ids[id]);
+        return;
+    }
+
+    if (self._inOtherTeam(id, null)) {
+        setImmediate(cb,
+            new VError('channel %s is in a team we are not using', id));
+        return;
+    }
+
+    if (mod_jsprim.hasKey(self.mmc_fetching, id)) {
+        self.mmc_fetching[id].push(cb);
+        return;
+    }
+
+    self.mmc_fetching[id] = [ cb ];
+
+    self.mmc_client.getChannelById(id, function (err, channel) {
+        var waiting = self.mmc_fetching[id];
+        delete self.mmc_fetching[id];
+
+        var room = null;
+
+        if (!err && channel.team_id !== '' &&
+            !mod_jsprim.hasKey(self.mmc_teams, channel.team_id)) {
+            self.mmc_others[id] = channel.team_id;
+            err = new VError('channel %s is in a team we are not using', id);
+        }
+
+        if (!err) {
+            room = self._ensureRoom(channel);
+        }
+
+        waiting.forEach(function (wcb) {
+            wcb(err || null, room);
+        });
+    });
+};
+
+/*
+ * Whether a channel is in a team that we aren't using, based on the team id
+ * sent along with an event (if any), or on what we found when we last looked
+ * the channel up. If we later join the team, then its channels are no longer
+ * ignored.
+ */
+MattermostClient.prototype._inOtherTeam = function (id, teamId) {
+    if (typeof (teamId) === 'string' && teamId !== '') {
+        return !mod_jsprim.hasKey(this.mmc_teams, teamId);
+    }
+
+    return (mod_jsprim.hasKey(this.mmc_others, id) &&
+        !mod_jsprim.hasKey(this.mmc_teams, this.mmc_others[id]));
+};
+
+/*
+ * Called when we find out that we've been added to a channel.
+ */
+MattermostClient.prototype._roomJoined = function (id) {
+    var self = this;
+
+    self._getRoomById(id, function (err) {
+        if (err) {
+            self.mmc_log.warn(err, 'failed to load new channel');
+        }
+    });
+};
+
+/*
+ * List a page of the public channels in a team ("opts.team", or our default
+ * team if not given).
+ */
+MattermostClient.prototype.listPublicChannels = function (opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.team, 'opts.team');
+    assert.optionalNumber(opts.page, 'opts.page');
+    assert.optionalNumber(opts.perPage, 'opts.perPage');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    var team = self._resolveTeam(opts.team);
+    if (team instanceof Error) {
+        setImmediate(cb, team);
+        return;
+    }
+
+    self.mmc_client.listPublicChannels(team.id, {
+        page: opts.page || 0,
+        per_page: opts.perPage || DIRECTORY_PAGE_SIZE
+    }, function (err, channels) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, channels.map(function (channel) {
+            return describeChannel(self, channel);
+        }));
+    });
+};
+
+/*
+ * Search for public channels whose names start with "term", in "opts.team"
+ * or our default team.
+ */
+MattermostClient.prototype.searchChannels = function (term, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+
+    assert.string(term, 'term');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.team, 'opts.team');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    var team = self._resolveTeam(opts.team);
+    if (team instanceof Error) {
+        setImmediate(cb, team);
+        return;
+    }
+
+    self.mmc_client.searchChannels(team.id, term,
+        function (err, channels) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, channels.map(function (channel) {
+            return describeChannel(self, channel);
+        }));
+    });
+};
+
+/*
+ * Join the channel with the given name, which may be prefixed with the name
+ * of its team (e.g., "eng/town-square").
+ */
+MattermostClient.prototype.joinRoom = function (name, cb) {
+    assert.string(name, 'name');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    var parsed = self._parseRoomName(name);
+    if (parsed instanceof Error) {
+        setImmediate(cb, parsed);
+        return;
+    }
+
+    if (mod_jsprim.hasKey(self.mmc_cnames[parsed.team.id], parsed.name)) {
+        setImmediate(cb, null, self.getRoomByName(name));
+        return;
+    }
+
+    self.mmc_client.getChannelByName(parsed.team.id, parsed.name,
+        function (gErr, channel) {
+        if (gErr) {
+            cb(new VError(gErr, 'failed to find channel %j', name));
+            return;
+        }
+
+        self.mmc_client.joinChannel(channel.id, function (jErr) {
+            if (jErr) {
+                cb(new VError(jErr, 'failed to join channel %j', name));
+                return;
+            }
+
+            /*
+             * We may have already heard that we joined over the
+             * WebSocket.
+             */
+            var room = self._ensureRoom(channel);
+
+            room._fetch();
+
+            cb(null, room);
+        });
+    });
 };
 
+/*
+ * Leave a room.
+ */
+MattermostClient.prototype.leaveRoom = function (room, cb) {
+    assert.object(room, 'room');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    self.mmc_client.leaveChannel(room.id(), function (err) {
+        if (err) {
+            cb(new VError(err, 'failed to leave channel %j', room.alias()));
+            return;
+        }
+
+        if (self.mmc_ids[room.id()] === room) {
+            self._removeRoom(room);
+        }
+
+        cb(null);
+    });
+};
+
+/*
+ * Create a new channel in "opts.team" (or our default team). "type" is either
+ * "O" (public, which is the default) or "P" (private).
+ */
+MattermostClient.prototype.createRoom = function (opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.team, 'opts.team');
+    assert.string(opts.name, 'opts.name');
+    assert.optionalString(opts.displayName, 'opts.displayName');
+    assert.optionalString(opts.type, 'opts.type');
+    assert.optionalString(opts.purpose, 'opts.purpose');
+    assert.optionalString(opts.header, 'opts.header');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var type = opts.type || 'O';
+
+    if (type !== 'O' && type !== 'P') {
+        setImmediate(cb, new VError(
+            'invalid channel type %j; must be "O" or "P"', type));
+        return;
+    }
+
+    var team = self._resolveTeam(opts.team);
+    if (team instanceof Error) {
+        setImmediate(cb, team);
+        return;
+    }
+
+    self.mmc_client.createChannel({
+        team_id: team.id,
+        name: opts.name,
+        display_name: opts.displayName || opts.name,
+        type: type,
+        purpose: opts.purpose || '',
+        header: opts.header || ''
+    }, function (err, channel) {
+        if (err) {
+            cb(new VError({
+                name: err.name,
+                cause: err
+            }, 'failed to create channel %j', opts.name));
+            return;
+        }
+
+        var room = self._ensureRoom(channel);
+
+        room._fetch();
+
+        cb(null, room);
+    });
+};
+
+/*
+ * Set our own status to one of "online", "away", "dnd" or "offline".
+ */
+MattermostClient.prototype.setStatus = function setStatus(status, cb) {
+    assert.string(status, 'status');
+    assert.func(cb, 'cb');
+
+    if (USER_STATUSES.indexOf(status) === -1) {
+        setImmediate(cb, new VError('invalid status %j; must be one of: %s',
+            status, USER_STATUSES.join(', ')));
+        return;
+    }
+
+    this.mmc_client.updateUserStatus(this.mmc_user.id, status, cb);
+};
+
+/*
+ * Find the room for a channel that we're in by its name, which may be
+ * prefixed with the name of its team (e.g., "eng/town-square").
+ */
 MattermostClient.prototype.getRoomByName = function (name) {
-    if (!mod_jsprim.hasKey(this.mmc_cnames, name)) {
+    var parsed = this._parseRoomName(name);
+    if (parsed instanceof Error ||
+        !mod_jsprim.hasKey(this.mmc_cnames[parsed.team.id], parsed.name)) {
         return null;
     }
 
-    var room = this.mmc_cnames[name];
+    var room = this.mmc_cnames[parsed.team.id][parsed.name];
     room._fetch();
 
     return room;
@@ -183,25 +1140,254 @@ MattermostClient.prototype.getDirectByName = function (name) {
     return room;
 };
 
+/*
+ * Find the direct message with the named user, creating it if we've never
+ * talked to them before. Concurrent calls for the same user share the same
+ * lookup.
+ */
+MattermostClient.prototype.openDirectByName = function (name, cb) {
+    assert.string(name, 'name');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    if (mod_jsprim.hasKey(self.mmc_opening, name)) {
+        self.mmc_opening[name].push(cb);
+        return;
+    }
+
+    self.mmc_opening[name] = [ cb ];
+
+    function done(err, room) {
+        var waiting = self.mmc_opening[name];
+        delete self.mmc_opening[name];
+
+        if (room) {
+            room._fetch();
+        }
+
+        waiting.forEach(function (wcb) {
+            if (err) {
+                wcb(err);
+            } else {
+                wcb(null, room);
+            }
+        });
+    }
+
+    self.mmc_users.lookupUserByName(name, function (uErr, user) {
+        if (uErr) {
+            done(new VError(uErr, 'failed to find user %j', name));
+            return;
+        }
+
+        if (mod_jsprim.hasKey(self.mmc_dnames, user.id())) {
+            done(null, self.mmc_dnames[user.id()]);
+            return;
+        }
+
+        self.mmc_client.createDirectChannel(self.mmc_user.id, user.id(),
+            function (cErr, channel) {
+            if (cErr) {
+                done(new VError(cErr,
+                    'failed to create direct message with %j', name));
+                return;
+            }
+
+            /*
+             * We may have heard about the new channel over the
+             * WebSocket while waiting for the server to reply.
+             */
+            var room = self._ensureRoom(channel);
+
+            done(null, room);
+        });
+    });
+};
+
+/*
+ * Look up the users with the given names, returning an error if any of them
+ * can't be found.
+ */
+MattermostClient.prototype._getUsersByName = function (names) {
+    var self = this;
+    var users = [];
+
+    for (var i = 0; i < names.length; ++i) {
+        var user = self.mmc_users.getUserByName(names[i]);
+        if (user === null) {
+            return new VError('unknown user %j', names[i]);
+        }
+        users.push(user);
+    }
+
+    return users;
+};
+
+/*
+ * Find the group message whose other members are exactly the users with the
+ * given names.
+ */
+MattermostClient.prototype.getGroupByNames = function (names) {
+    assert.arrayOfString(names, 'names');
+
+    var users = this._getUsersByName(names);
+    if (users instanceof Error) {
+        return null;
+    }
+
+    var want = users.map(function (user) {
+        return user.id();
+    }).sort().join(',');
+
+    var ids = Object.keys(this.mmc_ids);
+    for (var i = 0; i < ids.length; ++i) {
+        var room = this.mmc_ids[ids[i]];
+        if (room.mmr_type !== 'G' || room.mmr_members === null) {
+            continue;
+        }
+
+        var have = room.mmr_members.map(function (user) {
+            return user.id();
+        }).sort().join(',');
+
+        if (have === want) {
+            room._fetch();
+            return room;
+        }
+    }
+
+    return null;
+};
+
+/*
+ * Create a group message with the users with the given names. If we already
+ * have one with them, then the server gives it back to us.
+ */
+MattermostClient.prototype.createGroup = function (names, cb) {
+    assert.arrayOfString(names, 'names');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    var users = self._getUsersByName(names);
+    if (users instanceof Error) {
+        setImmediate(cb, users);
+        return;
+    }
+
+    var uids = users.map(function (user) {
+        return user.id();
+    });
+    uids.push(self.mmc_user.id);
+
+    self.mmc_client.createGroupChannel(uids, function (err, channel) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var room = self._ensureRoom(channel);
+        if (room.mmr_members === null) {
+            room.mmr_members = users;
+        }
+
+        room._fetch();
+
+        cb(null, room);
+    });
+};
+
 var authConfigSchema = {
     id: 'auth:mattermost',
     type: 'object',
-    required: [ 'url', 'team', 'username' ],
+    required: [ 'url', 'username' ],
+    allOf: [
+        {
+            anyOf: [
+                { required: [ 'team' ] },
+                { required: [ 'teams' ] }
+            ]
+        },
+        {
+            /*
+             * Plain HTTP is only allowed when explicitly asked for,
+             * such as when testing against a local server.
+             */
+            anyOf: [
+                {
+                    properties: {
+                        'url': { pattern: '^https://' }
+                    }
+                },
+                {
+                    required: [ 'allowHttp' ],
+                    properties: {
+                        'allowHttp': { enum: [ true ] }
+                    }
+                }
+            ]
+        }
+    ],
+    dependencies: {
+        'cert': [ 'key' ],
+        'key': [ 'cert' ]
+    },
     properties: {
         'url': {
             type: 'string',
-            pattern: '^https://'
+            pattern: '^https?://'
+        },
+        'allowHttp': {
+            type: 'boolean'
+        },
+        'proxy': {
+            type: 'string',
+            pattern: '^https?://'
+        },
+        'ca': {
+            oneOf: [
+                { type: 'string' },
+                {
+                    type: 'array',
+                    items: { type: 'string' }
+                }
+            ]
+        },
+        'cert': {
+            type: 'string'
+        },
+        'key': {
+            type: 'string'
+        },
+        'rejectUnauthorized': {
+            type: 'boolean'
         },
         'team': {
             type: 'string'
         },
+        'teams': {
+            oneOf: [
+                {
+                    type: 'array',
+                    items: { type: 'string' },
+                    minItems: 1
+                },
+                {
+                    type: 'string',
+                    enum: [ 'all' ]
+                }
+            ]
+        },
         'username': {
             type: 'string'
         },
-        'token': {
+        'token': credentialSchema,
+        'password': credentialSchema,
+        'tokenCache': {
             type: 'string'
         },
-        'password': {
+        'mfaToken': {
             type: 'string'
         }
     }
@@ -0,0 +1,153 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+// --- Internal helpers
+
+function optionalString(obj, field) {
+    if (typeof (obj[field]) === 'string' && obj[field] !== '') {
+        return obj[field];
+    }
+
+    return null;
+}
+
+// --- Exports
+
+/**
+ * An attachment posted by an integration (e.g., an incoming webhook from a
+ * CI system or alerting service). These use the same format as Slack's
+ * message attachments.
+ */
+function MattermostIntegrationAttachment(data) {
+    assert.object(data, 'data');
+
+    this.mia_fallback = optionalString(data, 'fallback');
+    this.mia_color = optionalString(data, 'color');
+    this.mia_pretext = optionalString(data, 'pretext');
+    this.mia_author = optionalString(data, 'author_name');
+    this.mia_title = optionalString(data, 'title');
+    this.mia_link = optionalString(data, 'title_link');
+    this.mia_text = optionalString(data, 'text');
+    this.mia_footer = optionalString(data, 'footer');
+
+    this.mia_fields = [];
+    if (Array.isArray(data.fields)) {
+        this.mia_fields = data.fields.filter(function (field) {
+            return (typeof (field) === 'object' && field !== null);
+        }).map(function (field) {
+            return {
+                title: optionalString(field, 'title'),
+                value: (field.value === undefined || field.value === null)
+                    ? null : String(field.value),
+                short: !!field.short
+            };
+        });
+    }
+}
+
+MattermostIntegrationAttachment.prototype.fallback = function () {
+    return this.mia_fallback;
+};
+
+MattermostIntegrationAttachment.prototype.color = function () {
+    return this.mia_color;
+};
+
+MattermostIntegrationAttachment.prototype.pretext = function () {
+    return this.mia_pretext;
+};
+
+MattermostIntegrationAttachment.prototype.author = function () {
+    return this.mia_author;
+};
+
+MattermostIntegrationAttachment.prototype.title = function () {
+    return this.mia_title;
+};
+
+MattermostIntegrationAttachment.prototype.titleLink = function () {
+    return this.mia_link;
+};
+
+MattermostIntegrationAttachment.prototype.text = function () {
+    return this.mia_text;
+};
+
+/*
+ * Returns an array of objects with "title", "value" and "short" properties.
+ */
+MattermostIntegrationAttachment.prototype.fields = function () {
+    return this.mia_fields.map(function (field) {
+        return {
+            title: field.title,
+            value: field.value,
+            short: field.short
+        };
+    });
+};
+
+MattermostIntegrationAttachment.prototype.footer = function () {
+    return this.mia_footer;
+};
+
+/*
+ * Render the attachment as plain text, suitable for displaying in a
+ * terminal. If the attachment has nothing else to show, we use its fallback
+ * text.
+ */
+MattermostIntegrationAttachment.prototype.render = function () {
+    var lines = [];
+
+    if (this.mia_pretext !== null) {
+        lines.push(this.mia_pretext);
+    }
+
+    if (this.mia_author !== null) {
+        lines.push(this.mia_author);
+    }
+
+    if (this.mia_title !== null) {
+        if (this.mia_link !== null) {
+            lines.push(this.mia_title + ' <' + this.mia_link + '>');
+        } else {
+            lines.push(this.mia_title);
+        }
+    }
+
+    if (this.mia_text !== null) {
+        lines.push(this.mia_text);
+    }
+
+    this.mia_fields.forEach(function (field) {
+        if (field.title !== null && field.value !== null) {
+            lines.push(field.title + ': ' + field.value);
+        } else if (field.title !== null) {
+            lines.push(field.title);
+        } else if (field.value !== null) {
+            lines.push(field.value);
+        }
+    });
+
+    if (this.mia_footer !== null) {
+        lines.push(this.mia_footer);
+    }
+
+    if (lines.length === 0 && this.mia_fallback !== null) {
+        lines.push(this.mia_fallback);
+    }
+
+    return lines.join('\n');
+};
+
+module.exports = MattermostIntegrationAttachment;
@@ -0,0 +1,145 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+// --- Globals
+
+/*
+ * Keywords that notify everyone in a channel.
+ */
+var CHANNEL_KEYS = [ '@channel', '@all', '@here' ];
+
+/*
+ * Characters that can appear within a username or keyword, and so can't
+ * appear right before or after a match. Usernames can also contain "." and
+ * "-", so these continue a name when they're between word characters (as in
+ * "@bob.smith"), but not when they're punctuation (as in "thanks @bob.").
+ */
+var WORD_CHARS = 'A-Za-z0-9_';
+var JOIN_CHARS = '.\\-';
+
+
+// --- Internal helpers
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+}
+
+function makePattern(key, caseSensitive) {
+    var before = '(^|[^' + WORD_CHARS + JOIN_CHARS + ']|(?:^|[^' +
+        WORD_CHARS + '])[' + JOIN_CHARS + '])';
+    var after = '(?![' + WORD_CHARS + ']|[' + JOIN_CHARS + '][' +
+        WORD_CHARS + '])';
+
+    return new RegExp(before + '(' + escapeRegExp(key) + ')' + after,
+        caseSensitive ? 'g' : 'gi');
+}
+
+
+// --- Exports
+
+/**
+ * Find the places in a message's text where we're mentioned, based on our
+ * notification preferences ("notify_props" on our user object):
+ *
+ * - "mention_keys", a comma-separated list of keywords (by default, our
+ *   username and "@" followed by our username)
+ * - "first_name", whether our first name counts as a mention
+ * - "channel", whether "@channel", "@all" and "@here" count as mentions
+ */
+function MentionMatcher(user) {
+    assert.object(user, 'user');
+    assert.string(user.username, 'user.username');
+
+    var props = user.notify_props || {};
+    var patterns = [];
+
+    function addKey(key, caseSensitive) {
+        key = key.trim();
+        if (key === '') {
+            return;
+        }
+
+        patterns.push({
+            key: key,
+            regex: makePattern(key, caseSensitive)
+        });
+    }
+
+    addKey('@' + user.username, false);
+
+    if (typeof (props.mention_keys) === 'string') {
+        props.mention_keys.split(',').forEach(function (key) {
+            addKey(key, false);
+        });
+    } else {
+        addKey(user.username, false);
+    }
+
+    if (props.first_name === 'true' && typeof (user.first_name) === 'string') {
+        addKey(user.first_name, true);
+    }
+
+    if (props.channel !== 'false') {
+        CHANNEL_KEYS.forEach(function (key) {
+            addKey(key, false);
+        });
+    }
+
+    this.mm_patterns = patterns;
+}
+
+/*
+ * Returns an array of the spans in "text" that mention us, in order. Each
+ * span has "start" and "end" offsets, and the "key" that matched.
+ */
+MentionMatcher.prototype.match = function match(text) {
+    assert.string(text, 'text');
+
+    var spans = [];
+
+    this.mm_patterns.forEach(function (pattern) {
+        var m;
+
+        pattern.regex.lastIndex = 0;
+        while ((m = pattern.regex.exec(text)) !== null) {
+            var start = m.index + m[1].length;
+            spans.push({
+                start: start,
+                end: start + m[2].length,
+                key: pattern.key
+            });
+        }
+    });
+
+    /*
+     * Several keys can match the same place (e.g., "cody" and "@cody"),
+     * so we keep the longest match at each place and drop any overlaps.
+     */
+    spans.sort(function (a, b) {
+        return (a.start - b.start) || (b.end - a.end);
+    });
+
+    var end = 0;
+
+    return spans.filter(function (span) {
+        if (span.start < end) {
+            return false;
+        }
+
+        end = span.end;
+        return true;
+    });
+};
+
+module.exports = MentionMatcher;
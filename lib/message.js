@@ -12,7 +12,40 @@
 
 var assert = require('assert-plus');
 var mod_events = require('events');
+var mod_jsprim = require('jsprim');
 var mod_util = require('util');
+var VError = require('verror');
+
+var MattermostAttachment = require('./attachment');
+var MattermostIntegrationAttachment = require('./integration');
+
+// --- Internal helpers
+
+/*
+ * Order messages by when they were created. Several posts can be made in the
+ * same millisecond, so we fall back on comparing their ids.
+ */
+function compareMessages(a, b) {
+    var ac = a.created();
+    var bc = b.created();
+
+    if (ac < bc) {
+        return (-1);
+    } else if (ac > bc) {
+        return (1);
+    }
+
+    var ai = a.mmm_id;
+    var bi = b.mmm_id;
+
+    if (ai < bi) {
+        return (-1);
+    } else if (ai === bi) {
+        return (0);
+    } else {
+        return (1);
+    }
+}
 
 // --- Exports
 
@@ -21,16 +54,108 @@ function MattermostMessage(room, speaker, post) {
     assert.object(speaker, 'speaker');
     assert.object(post, 'post');
 
-    this.mmm_id = null;
+    this.mmm_id = post.id || null;
     this.mmm_room = room;
     this.mmm_speaker = speaker;
     this.mmm_post = post;
     this.mmm_node = null;
 
+    this.mmm_prior = null;
+    this.mmm_deleted = false;
+    this.mmm_mentions = null;
+
+    /*
+     * Messages that we send start off as "pending" until the server
+     * confirms them, and become "failed" if we couldn't send them.
+     */
+    this.mmm_state = 'sent';
+
+    /*
+     * Reactions on this message, mapping each emoji's name to the users
+     * who reacted with it, in the order that they did so.
+     */
+    this.mmm_reactions = {};
+
+    if (post.metadata && Array.isArray(post.metadata.reactions)) {
+        post.metadata.reactions.forEach(this._addReaction.bind(this));
+    }
+
+    this.mmm_files = [];
+    this._loadAttachments();
+
     mod_events.EventEmitter.call(this);
 }
 mod_util.inherits(MattermostMessage, mod_events.EventEmitter);
 
+/*
+ * Set up the files attached to this message. Newer servers include the
+ * information for each file in the post's metadata, but older ones only
+ * send the files' ids, in which case we need to go fetch it. We call this
+ * again whenever the post changes, and keep any attachments that we already
+ * have for the same files.
+ */
+MattermostMessage.prototype._loadAttachments = function loadAttachments() {
+    var self = this;
+    var post = self.mmm_post;
+    var client = self.mmm_room.mmr_client;
+    var infos = {};
+    var known = {};
+    var missing = [];
+
+    if (post.metadata && Array.isArray(post.metadata.files)) {
+        post.metadata.files.forEach(function (info) {
+            infos[info.id] = info;
+        });
+    }
+
+    self.mmm_files.forEach(function (file) {
+        known[file.id()] = file;
+    });
+
+    var ids = Array.isArray(post.file_ids) ? post.file_ids : Object.keys(infos);
+
+    self.mmm_files = ids.map(function (id) {
+        var file = mod_jsprim.hasKey(known, id)
+            ? known[id] : new MattermostAttachment(client, id);
+
+        if (mod_jsprim.hasKey(infos, id)) {
+            file.update(infos[id]);
+        } else if (file.name() === null) {
+            missing.push(file);
+        }
+
+        return file;
+    });
+
+    if (missing.length === 0) {
+        return;
+    }
+
+    /*
+     * The server can give us the information for all of the post's
+     * files at once, so we only need to make a single request.
+     */
+    setImmediate(function () {
+        client.getFileInfosForPost(post.id, function (err, list) {
+            if (err || !Array.isArray(list)) {
+                return;
+            }
+
+            list.forEach(function (info) {
+                infos[info.id] = info;
+            });
+
+            missing.forEach(function (file) {
+                if (mod_jsprim.hasKey(infos, file.id())) {
+                    file.update(infos[file.id()]);
+                }
+            });
+
+            self.emit('attachments', self);
+        });
+    });
+};
+
 MattermostMessage.prototype.speaker = function getSpeaker() {
     return this.mmm_speaker;
 };
@@ -43,4 +168,299 @@ MattermostMessage.prototype.created = function getCreated() {
     return this.mmm_post.create_at;
 };
 
+/*
+ * Returns the files attached to this message.
+ */
+MattermostMessage.prototype.attachments = function getAttachments() {
+    return this.mmm_files.slice();
+};
+
+/*
+ * Returns the attachments posted by an integration with this message (e.g.,
+ * alerts from a CI system).
+ */
+MattermostMessage.prototype.integrationAttachments =
+    function getIntegrationAttachments() {
+    var props = this.mmm_post.props;
+    if (!props || !Array.isArray(props.attachments)) {
+        return [];
+    }
+
+    return props.attachments.filter(function (data) {
+        return (typeof (data) === 'object' && data !== null);
+    }).map(function (data) {
+        return new MattermostIntegrationAttachment(data);
+    });
+};
+
+/*
+ * Whether this message was generated by the server to record an event in
+ * the room (see MattermostSystemMessage).
+ */
+MattermostMessage.prototype.isSystem = function isSystem() {
+    return false;
+};
+
+/*
+ * Returns the spans of this message's text that mention us (see
+ * MentionMatcher), each with "start" and "end" offsets and the matching
+ * "key".
+ */
+MattermostMessage.prototype.mentions = function getMentions() {
+    if (this.mmm_mentions === null) {
+        var matcher = this.mmm_room.mmr_matcher;
+        this.mmm_mentions = (matcher && typeof (this.text()) === 'string')
+            ? matcher.match(this.text()) : [];
+    }
+
+    return this.mmm_mentions.map(function (span) {
+        return {
+            start: span.start,
+            end: span.end,
+            key: span.key
+        };
+    });
+};
+
+MattermostMessage.prototype.mentionsMe = function mentionsMe() {
+    return this.mentions().length > 0;
+};
+
+/*
+ * Returns when the message was last edited, or null if it hasn't been.
+ */
+MattermostMessage.prototype.editedAt = function getEditedAt() {
+    return this.mmm_post.edit_at ? this.mmm_post.edit_at : null;
+};
+
+/*
+ * Returns the text the message had before its most recent edit, or null if
+ * we haven't seen it get edited.
+ */
+MattermostMessage.prototype.priorText = function getPriorText() {
+    return this.mmm_prior;
+};
+
+MattermostMessage.prototype.isDeleted = function isDeleted() {
+    return this.mmm_deleted;
+};
+
+/*
+ * Returns the id of the post at the start of the thread that this message is
+ * a reply to, or null if it's not a reply.
+ */
+MattermostMessage.prototype.rootId = function getRootId() {
+    return this.mmm_post.root_id ? this.mmm_post.root_id : null;
+};
+
+/*
+ * Returns the id of the post that this message directly replied to, or null
+ * if it's not a reply.
+ */
+MattermostMessage.prototype.parentId = function getParentId() {
+    return this.mmm_post.parent_id ? this.mmm_post.parent_id : this.rootId();
+};
+
+MattermostMessage.prototype.isReply = function isReply() {
+    return this.rootId() !== null;
+};
+
+/*
+ * Reply to this message, placing the reply into the thread that this message
+ * belongs to (or starting a new one).
+ */
+MattermostMessage.prototype.reply = function replyToMessage(text, cb) {
+    assert.string(text, 'text');
+    assert.func(cb, 'cb');
+
+    var root = this.rootId() || this.mmm_id;
+
+    this.mmm_room.mmr_client.createPost(this.mmm_room.mmr_id, text, {
+        rootId: root
+    }, cb);
+};
+
+/*
+ * Change the text of this message on the server. Our local copy gets updated
+ * once the server sends us the "post_edited" event.
+ */
+MattermostMessage.prototype.edit = function editMessage(text, cb) {
+    assert.string(text, 'text');
+    assert.func(cb, 'cb');
+
+    this.mmm_room.mmr_client.patchPost(this.mmm_id, {
+        message: text
+    }, cb);
+};
+
+MattermostMessage.prototype.remove = function removeMessage(cb) {
+    assert.func(cb, 'cb');
+
+    this.mmm_room.mmr_client.deletePost(this.mmm_id, cb);
+};
+
+MattermostMessage.prototype.isPending = function isPending() {
+    return this.mmm_state === 'pending';
+};
+
+MattermostMessage.prototype.isFailed = function isFailed() {
+    return this.mmm_state === 'failed';
+};
+
+/*
+ * Try sending a message that previously failed to send again.
+ */
+MattermostMessage.prototype.retry = function retrySend(cb) {
+    assert.func(cb, 'cb');
+
+    if (!this.isFailed()) {
+        setImmediate(cb, new VError('only failed messages can be resent'));
+        return;
+    }
+
+    this.mmm_room._sendPending(this, cb);
+};
+
+/*
+ * Replace our local copy of a pending message with the post that the server
+ * created for it.
+ */
+MattermostMessage.prototype._confirm = function confirm(post) {
+    assert.object(post, 'post');
+    assert.string(post.id, 'post.id');
+
+    this.mmm_id = post.id;
+    this.mmm_post = post;
+    this.mmm_state = 'sent';
+    this._loadAttachments();
+
+    this.emit('confirmed', this);
+};
+
+/*
+ * Returns a summary of the reactions on this message, as an object mapping
+ * each emoji's name to an array of the users who reacted with it.
+ */
+MattermostMessage.prototype.reactions = function getReactions() {
+    var summary = {};
+
+    mod_jsprim.forEachKey(this.mmm_reactions, function (emoji, users) {
+        summary[emoji] = users.slice();
+    });
+
+    return summary;
+};
+
+MattermostMessage.prototype.react = function react(emoji, cb) {
+    assert.string(emoji, 'emoji');
+    assert.func(cb, 'cb');
+
+    var client = this.mmm_room.mmr_client;
+
+    client.addReaction(client.user.id, this.mmm_id, emoji, cb);
+};
+
+MattermostMessage.prototype.unreact = function unreact(emoji, cb) {
+    assert.string(emoji, 'emoji');
+    assert.func(cb, 'cb');
+
+    var client = this.mmm_room.mmr_client;
+
+    client.removeReaction(client.user.id, this.mmm_id, emoji, cb);
+};
+
+/*
+ * Record a reaction on this message. Returns true if this changed the
+ * reactions on the message.
+ */
+MattermostMessage.prototype._addReaction = function addReaction(reaction) {
+    assert.object(reaction, 'reaction');
+    assert.string(reaction.user_id, 'reaction.user_id');
+    assert.string(reaction.emoji_name, 'reaction.emoji_name');
+
+    var emoji = reaction.emoji_name;
+
+    if (!mod_jsprim.hasKey(this.mmm_reactions, emoji)) {
+        this.mmm_reactions[emoji] = [];
+    }
+
+    var users = this.mmm_reactions[emoji];
+    for (var i = 0; i < users.length; ++i) {
+        if (users[i].id() === reaction.user_id) {
+            return false;
+        }
+    }
+
+    users.push(this.mmm_room.mmr_users.getUser(reaction.user_id, null));
+
+    return true;
+};
+
+/*
+ * Forget about a reaction on this message. Returns true if this changed the
+ * reactions on the message.
+ */
+MattermostMessage.prototype._removeReaction =
+    function removeReaction(reaction) {
+    assert.object(reaction, 'reaction');
+    assert.string(reaction.user_id, 'reaction.user_id');
+    assert.string(reaction.emoji_name, 'reaction.emoji_name');
+
+    var emoji = reaction.emoji_name;
+
+    if (!mod_jsprim.hasKey(this.mmm_reactions, emoji)) {
+        return false;
+    }
+
+    var users = this.mmm_reactions[emoji];
+    for (var i = 0; i < users.length; ++i) {
+        if (users[i].id() === reaction.user_id) {
+            users.splice(i, 1);
+            if (users.length === 0) {
+                delete this.mmm_reactions[emoji];
+            }
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/*
+ * Replace this message's contents with an updated version of the post.
+ */
+MattermostMessage.prototype._edit = function applyEdit(post) {
+    assert.object(post, 'post');
+    assert.equal(post.id, this.mmm_id, 'post.id === this.mmm_id');
+
+    if (post.message !== this.mmm_post.message) {
+        this.mmm_prior = this.mmm_post.message;
+    }
+
+    this.mmm_post = post;
+    this.mmm_mentions = null;
+    this._loadAttachments();
+
+    this.emit('edited', this);
+};
+
+/*
+ * Mark this message as deleted. We keep it in the room's history as a
+ * tombstone, so that consumers can show that something used to be there.
+ */
+MattermostMessage.prototype._delete = function applyDelete(post) {
+    assert.object(post, 'post');
+
+    if (this.mmm_deleted) {
+        return;
+    }
+
+    this.mmm_deleted = true;
+    this.mmm_post.delete_at = post.delete_at || Date.now();
+
+    this.emit('deleted', this);
+};
+
+MattermostMessage.compare = compareMessages;
+
 module.exports = MattermostMessage;
@@ -11,14 +11,22 @@
 'use strict';
 
 var assert = require('assert-plus');
+var mod_crypto = require('crypto');
+var mod_events = require('events');
 var mod_fs = require('fs');
+var mod_jsprim = require('jsprim');
 var mod_mooremachine = require('mooremachine');
 var mod_path = require('path');
 var mod_restify = require('restify-clients');
+var mod_tunnel = require('tunnel-agent');
+var mod_url = require('url');
 var mod_util = require('util');
 var mod_watershed = require('watershed');
 var VError = require('verror');
 
+var mod_credentials = require('./credentials');
+var MattermostSystemMessage = require('./system');
+
 var shed = new mod_watershed.Watershed();
 
 // --- Globals
@@ -30,6 +38,50 @@ var BROWSER_REGEX = /^[^\/]+\/[^\/]+$/;
 var UA_FMT = 'Mozilla/5.0 (%s; U; %s) Gecko/0 %s';
 var UA_DEFAULT_INFO = PKG_CONTENTS.name + '/' + PKG_CONTENTS.version;
 
+/*
+ * How long to wait for the server to reply to a message we've sent over the
+ * websocket before giving up.
+ */
+var WS_REQUEST_TIMEOUT = 10000;
+
+/*
+ * The versions of a file that we can download: the original, or the images
+ * that the server generates for it.
+ */
+var FILE_VARIANTS = [ '', 'thumbnail', 'preview' ];
+
+/*
+ * The error ids that the server returns when logging in requires a
+ * multi-factor authentication token, and we didn't send a valid one.
+ */
+var MFA_ERRORS = [
+    'api.user.check_user_mfa.bad_code.app_error',
+    'mfa.validate_token.authenticate.app_error'
+];
+
+/*
+ * HTTP status codes that mean the server has rejected our credentials, and
+ * that trying again with the same ones won't help.
+ */
+var REJECTED_CODES = [ 400, 401, 403 ];
+
+/*
+ * How often we ping the server over the websocket, and how long we go without
+ * hearing a pong back before deciding that the connection is dead.
+ */
+var PING_INTERVAL = 3000;
+var WS_CONNECT_TIMEOUT = 30000;
+var PONG_TIMEOUT = 15000;
+
+/*
+ * When we fail to connect, we wait before trying again, doubling the delay
+ * after each failed attempt up to a maximum.
+ */
+var RECONNECT_BASE_DELAY = 1000;
+var RECONNECT_MAX_DELAY = 60000;
+
+var JSON_METHODS = [ 'get', 'head', 'del', 'delete', 'post', 'put', 'patch' ];
+
 
 // --- Internal helpers
 
@@ -65,6 +117,110 @@ function getUserAgent(id) {
     return mod_util.format(UA_FMT, plat, plat, id || UA_DEFAULT_INFO);
 }
 
+/*
+ * Read a file named by the account setting "key", so that a bad path is
+ * reported along with the setting it came from.
+ */
+function readAccountFile(key, path) {
+    try {
+        return mod_fs.readFileSync(path);
+    } catch (e) {
+        throw new VError(e, 'failed to read account.%s %j', key, path);
+    }
+}
+
+/*
+ * Load the TLS settings from an account's configuration. The CA certificates,
+ * client certificate and key are all given as paths to PEM files.
+ */
+function getTlsOptions(account) {
+    var tls = {};
+
+    if (account.ca) {
+        tls.ca = [].concat(account.ca).map(function (file) {
+            return readAccountFile('ca', file);
+        });
+    }
+
+    if (account.cert) {
+        tls.cert = readAccountFile('cert', account.cert);
+        tls.key = readAccountFile('key', account.key);
+    }
+
+    if (typeof (account.rejectUnauthorized) === 'boolean') {
+        tls.rejectUnauthorized = account.rejectUnauthorized;
+    }
+
+    return tls;
+}
+
+/*
+ * Create an agent that tunnels connections to the server through an HTTP
+ * proxy using CONNECT. Since the agent is what connects to the server, it
+ * also needs to know our TLS settings.
+ */
+function createProxyAgent(url, proxy, tls) {
+    var target = mod_url.parse(url);
+    var parsed = mod_url.parse(proxy);
+    var secure = (parsed.protocol === 'https:');
+    var tunnel;
+
+    if (target.protocol === 'https:') {
+        tunnel = secure
+            ? mod_tunnel.httpsOverHttps : mod_tunnel.httpsOverHttp;
+    } else {
+        tunnel = secure
+            ? mod_tunnel.httpOverHttps : mod_tunnel.httpOverHttp;
+    }
+
+    var proxyOpts = {
+        host: parsed.hostname,
+        port: Number(parsed.port) || (secure ? 443 : 80)
+    };
+
+    if (parsed.auth) {
+        proxyOpts.proxyAuth = parsed.auth;
+    }
+
+    return tunnel(mod_jsprim.mergeObjects(tls, { proxy: proxyOpts }));
+}
+
+/*
+ * Whether an error from authenticating means that our credentials were
+ * rejected (or that we couldn't get them at all), as opposed to a problem
+ * like a network failure that may go away if we try again.
+ */
+function isAuthRejected(err) {
+    for (var e = err; e; e = VError.cause(e)) {
+        if (e.name === 'CredentialError' ||
+            REJECTED_CODES.indexOf(e.statusCode) !== -1) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/*
+ * Pick how long to wait before reconnecting. So that clients that lost their
+ * connections at the same time don't all retry together, we wait a random
+ * amount of time between half and all of the current backoff.
+ */
+function getReconnectDelay(attempt) {
+    var ceiling = Math.min(RECONNECT_MAX_DELAY,
+        RECONNECT_BASE_DELAY * Math.pow(2, attempt - 1));
+
+    return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function isSessionExpired(body) {
+    return (body && body.id === 'api.context.session_expired.app_error');
+}
+
+function isMfaRequired(body) {
+    return (body && MFA_ERRORS.indexOf(body.id) !== -1);
+}
+
 
 // --- Exports
 
@@ -73,12 +229,29 @@ function RawMattermostClient(opts) {
     assert.object(opts.log, 'opts.log');
     assert.object(opts.account, 'opts.account');
     assert.string(opts.account.url, 'opts.url');
+    assert.optionalBool(opts.account.allowHttp, 'opts.account.allowHttp');
+    assert.ok(/^https:\/\//.test(opts.account.url) ||
+        (opts.account.allowHttp && /^http:\/\//.test(opts.account.url)),
+        'opts.account.url must use https:// (or http:// with allowHttp)');
     assert.string(opts.account.username, 'opts.account.username');
-    assert.optionalString(opts.account.password, 'opts.account.password');
-    assert.optionalString(opts.account.token, 'opts.account.token');
     assert.ok(opts.account.token || opts.account.password,
         'one of opts.account.token or opts.account.password must be provided');
+    assert.optionalString(opts.account.tokenCache, 'opts.account.tokenCache');
+    assert.optionalString(opts.account.mfaToken, 'opts.account.mfaToken');
+    assert.optionalFunc(opts.mfaPrompt, 'opts.mfaPrompt');
     assert.optionalObject(opts.agent, 'opts.agent');
+    assert.optionalString(opts.account.proxy, 'opts.account.proxy');
+    if (Array.isArray(opts.account.ca)) {
+        assert.arrayOfString(opts.account.ca, 'opts.account.ca');
+    } else {
+        assert.optionalString(opts.account.ca, 'opts.account.ca');
+    }
+    assert.optionalString(opts.account.cert, 'opts.account.cert');
+    assert.optionalString(opts.account.key, 'opts.account.key');
+    assert.ok(!opts.account.cert === !opts.account.key,
+        'opts.account.cert and opts.account.key must be provided together');
+    assert.optionalBool(opts.account.rejectUnauthorized,
+        'opts.account.rejectUnauthorized');
     assert.optionalString(opts.userAgentInfo, 'opts.userAgentInfo');
 
     if (typeof (opts.userAgentInfo) === 'string') {
@@ -90,29 +263,101 @@ function RawMattermostClient(opts) {
     this.url = opts.account.url;
 
     var ua = getUserAgent(opts.userAgentInfo);
-
-    this.client = mod_restify.createJsonClient({
-        agent: opts.agent,
+    var tls = getTlsOptions(opts.account);
+    var base = {
         url: this.url,
-        userAgent: ua
-    });
+        userAgent: ua,
 
-    this.httpClient = mod_restify.createHttpClient({
-        agent: false,
-        url: this.url,
-        userAgent: ua
-    });
+        /*
+         * We only use a proxy when one's configured for the account,
+         * so that the REST and websocket clients always connect the
+         * same way (restify would otherwise pick one up from the
+         * environment for the JSON client alone).
+         */
+        proxy: false
+    };
+
+    /*
+     * When using a proxy, our agent makes all of the connections to the
+     * server, so the TLS settings go to it. Otherwise, they're passed to
+     * restify, which uses them for each request (and, if there's a client
+     * certificate, skips the agent).
+     */
+    var agent = opts.agent;
+    var transport = tls;
+
+    if (opts.account.proxy) {
+        agent = createProxyAgent(this.url, opts.account.proxy, tls);
+        transport = {};
+    }
+
+    this.client = this._renewingClient(mod_restify.createJsonClient(
+        mod_jsprim.mergeObjects(base, { agent: agent }, transport)));
+
+    /*
+     * The websocket takes over its connection, so we don't want it coming
+     * from a pool of kept-alive sockets, unless we need the proxy's.
+     */
+    this.httpClient = mod_restify.createHttpClient(mod_jsprim.mergeObjects(
+        base, { agent: opts.account.proxy ? agent : false }, transport));
 
     this.account = opts.account;
     this.username = opts.account.username;
     this.token = null;
     this.user = null;
 
+    /*
+     * Where to get our password and personal access token from. See
+     * createProvider() for the different ways they can be given.
+     */
+    this.passwordProvider = opts.account.password
+        ? mod_credentials.createProvider(opts.account.password) : null;
+    this.tokenProvider = opts.account.token
+        ? mod_credentials.createProvider(opts.account.token) : null;
+
+    /*
+     * If we have somewhere to cache our session token, then we reuse it
+     * when we next start, instead of logging in again and creating yet
+     * another session.
+     */
+    this.tokenCache = opts.account.tokenCache
+        ? new mod_credentials.TokenCache(opts.account.tokenCache) : null;
+
+    /*
+     * If logging in requires a multi-factor authentication token, and
+     * we weren't given one (or it's stopped being valid), then we ask for
+     * one by calling "mfaPrompt" with a callback to pass the token to.
+     */
+    this.mfaPrompt = opts.mfaPrompt || null;
+
+    /*
+     * Callbacks waiting for us to finish logging in again after our
+     * session expired, or null if we're not currently doing so.
+     */
+    this._renewing = null;
+
     this.lastErr = null;
     this._mmws = null;
 
+    /*
+     * Requests sent over the websocket, waiting for a reply. Each one is
+     * tagged with a sequence number, which the server echoes back in
+     * "seq_reply".
+     */
+    this._wsSeq = 1;
+    this._wsPending = {};
+
     this.connectEmitted = false;
 
+    /*
+     * Whether the websocket is currently up, how many times in a row
+     * we've failed to (re)connect, and which state to retry from once
+     * we've waited long enough.
+     */
+    this._connected = false;
+    this._attempts = 0;
+    this._retryState = null;
+
     this.setMaxListeners(512);
 
     mod_mooremachine.FSM.call(this, 'authenticating');
@@ -123,13 +368,17 @@ mod_util.inherits(RawMattermostClient, mod_mooremachine.FSM);
 RawMattermostClient.prototype.state_authenticating = function (S) {
     S.validTransitions([
         'authenticating.token',
+        'authenticating.cached',
         'authenticating.password',
         'connecting',
+        'reconnecting',
         'failed'
     ]);
 
-    if (this.account.token) {
+    if (this.tokenProvider !== null) {
         S.gotoState('authenticating.token');
+    } else if (this.tokenCache !== null) {
+        S.gotoState('authenticating.cached');
     } else {
         S.gotoState('authenticating.password');
     }
@@ -138,204 +387,736 @@ RawMattermostClient.prototype.state_authenticating = function (S) {
 RawMattermostClient.prototype.state_authenticating.token = function (S) {
     var self = this;
 
-    S.immediate(function () {
-        self.token = self.account.token;
-        self.getUserByName(self.username, function (err, obj) {
+    self.tokenProvider.get(S.callback(function (pErr, token) {
+        if (pErr) {
+            self.lastErr = new VError({
+                name: 'CredentialError',
+                cause: pErr
+            }, 'failed to get token');
+            S.gotoState('failed');
+            return;
+        }
+
+        self.token = token;
+        self._checkToken(S.callback(function (err) {
             if (err) {
-                self.lastErr = err;
-                S.gotoState('failed');
+                self._authFailed(S, err);
                 return;
             }
 
-            self.user = obj;
+            S.gotoState('connecting');
+        }));
+    }));
+};
+
+/*
+ * Try to reuse the session token that we saved the last time we logged in.
+ * If there isn't one, or the server rejects it, then we log in again.
+ */
+RawMattermostClient.prototype.state_authenticating.cached = function (S) {
+    var self = this;
+
+    self.tokenCache.load(S.callback(function (lErr, token) {
+        if (lErr) {
+            self.log.warn(lErr, 'failed to load cached token');
+            S.gotoState('authenticating.password');
+            return;
+        }
+
+        if (token === null) {
+            S.gotoState('authenticating.password');
+            return;
+        }
+
+        self.token = token;
+        self._checkToken(S.callback(function (err) {
+            if (err && (err.statusCode === 401 ||
+                err.name === 'SessionExpiredError')) {
+                self.log.info('cached token was rejected; logging in');
+                self.token = null;
+                self.tokenCache.clear(S.callback(function (cErr) {
+                    if (cErr) {
+                        self.log.warn(cErr,
+                            'failed to remove rejected cached token');
+                    }
+
+                    S.gotoState('authenticating.password');
+                }));
+                return;
+            }
+
+            if (err) {
+                self._authFailed(S, err);
+                return;
+            }
 
             S.gotoState('connecting');
-        });
-    });
+        }));
+    }));
 };
 
 RawMattermostClient.prototype.state_authenticating.password = function (S) {
     var self = this;
 
     S.immediate(function () {
-        self.client.post('/api/v4/users/login', {
-            login_id: self.account.username,
-            password: self.account.password
-        }, function (err, req, res, obj) {
+        self._login(S.callback(function (err) {
             if (err) {
-                self.lastErr = err;
-                S.gotoState('failed');
+                self._authFailed(S, err);
                 return;
             }
 
-            self.token = res.headers.token;
-            self.user = obj;
-
             S.gotoState('connecting');
-        });
+        }));
     });
 };
 
 
-RawMattermostClient.prototype.state_connecting = function (S) {
-    S.validTransitions([ 'connected', 'failed' ]);
+/*
+ * If the server rejected our credentials, then there's no point in trying
+ * again, and we give up. Otherwise, we wait a bit and retry.
+ */
+RawMattermostClient.prototype._authFailed = function (S, err) {
+    if (isAuthRejected(err)) {
+        this.lastErr = err;
+        S.gotoState('failed');
+        return;
+    }
 
-    var self = this;
+    this._retry(S, 'authenticating', err);
+};
 
-    if (self._mmws !== null) {
-        self._mmws.destroy();
-        self._mmws = null;
-    }
 
-    var wskey = shed.generateKey();
+/*
+ * Check which user our token belongs to.
+ */
+RawMattermostClient.prototype._checkToken = function (callback) {
+    var self = this;
 
-    self.httpClient.get({
-        path: '/api/v4/websocket',
-        headers: {
-            connection: 'upgrade',
-            upgrade: 'websocket',
-            'sec-websocket-key': wskey,
-            'sec-websocket-version': 13,
-            'Authorization': 'Bearer ' + self.token
-        }
-    }, function (gErr, req) {
-        if (gErr) {
-            self.lastErr = gErr;
-            S.gotoState('failed');
+    self.getMe(function (err, obj) {
+        if (err) {
+            callback(err);
             return;
         }
 
-        req.once('upgradeResult', function (uErr, res, socket, head) {
-            if (uErr) {
-                self.lastErr = uErr;
-                S.gotoState('failed');
-                return;
-            }
+        if (obj.username !== self.username) {
+            self.log.warn({
+                username: self.username,
+                actual: obj.username
+            }, 'token belongs to a different user than configured');
+        }
 
-            socket.setNoDelay(true);
-            socket.setKeepAlive(true, 5000);
-            self._mmws = shed.connect(res, socket, head, wskey);
+        self.user = obj;
 
-            S.gotoState('connected');
-        });
+        callback(null);
     });
 };
 
 
-RawMattermostClient.prototype.state_connected = function (S) {
-    S.validTransitions([
-        'authenticating',
-        'connected.failed',
-        'connecting',
-        'failed'
-    ]);
+/*
+ * Log in with our username and password, sending a multi-factor
+ * authentication token if we have one. If the server says that we need one,
+ * and we can prompt for it, then we ask for a token and try again.
+ */
+RawMattermostClient.prototype._login = function (callback) {
+    assert.func(callback, 'callback');
 
     var self = this;
 
-    S.on(self._mmws, 'text', function (msg) {
-        var obj;
+    function login(password, mfaToken, prompted) {
+        var body = {
+            login_id: self.account.username,
+            password: password
+        };
 
-        try {
-            obj = JSON.parse(msg);
-        } catch (e) {
-            self.log.warn({
-                err: e,
-                payload: msg
-            }, 'failed to parse JSON message');
-            return;
+        if (mfaToken) {
+            body.token = mfaToken;
         }
 
-        self._processEvent(obj);
-    });
-
-    S.on(self._mmws, 'connectionReset', function () {
-        self.log.info('websocket reset; restarting connection');
-        S.gotoState('connecting');
-    });
-
-    S.on(self._mmws, 'error', function (err) {
-        self.lastErr = err;
-        S.gotoState('connected.failed');
-    });
+        self.client.post('/api/v4/users/login', body,
+            function (err, req, res, obj) {
+            if (err && isMfaRequired(obj) &&
+                !prompted && self.mfaPrompt !== null) {
+                self.mfaPrompt(function (pErr, token) {
+                    if (pErr) {
+                        callback(new VError({
+                            name: 'CredentialError',
+                            cause: pErr
+                        }, 'failed to get MFA token'));
+                        return;
+                    }
+
+                    assert.string(token, 'token');
+
+                    login(password, token, true);
+                });
+                return;
+            }
 
-    S.on(self._mmws, 'end', function () {
-        self.log.info('websocket ended; restarting connection');
-        S.gotoState('connecting');
-    });
+            if (err) {
+                callback(err);
+                return;
+            }
 
-    S.on(self, 'reauthAsserted', function () {
-        S.gotoState('authenticating');
-    });
+            self.token = res.headers.token;
+            self.user = obj;
 
-    S.interval(3000, function () {
-        self._mmws._ws_writePing(new Buffer(0));
-    });
+            self._cacheToken();
 
-    /*
-     * Inform consumers that we're now connected. The first time we
-     * get here, we emit "connected". If we lose the connection and
-     * restart, then we emit "reconnected".
-     */
-    if (self.connectEmitted) {
-        S.immediate(function () {
-            self.emit('reconnected');
-        });
-    } else {
-        S.immediate(function () {
-            self.connectEmitted = true;
-            self.emit('connected', self.user);
+            callback(null);
         });
     }
-};
-
-
-RawMattermostClient.prototype.state_connected.failed = function (S) {
-    S.validTransitions([ 'connecting' ]);
-
-    assert.ok(this.lastErr, 'lastErr is set');
-    this.log.error(this.lastErr, 'client has failed; reconnecting');
-
-    S.gotoState('connecting');
-};
-
-RawMattermostClient.prototype.state_failed = function (S) {
-    S.validTransitions([ ]);
-
-    assert.ok(this.lastErr, 'lastErr is set');
-    this.emit('error', new VError(this.lastErr, 'mattermost client failure'));
-};
 
-
-RawMattermostClient.prototype._handlecb = function (callback) {
-    var self = this;
-
-    return function (err, req, res, body) {
-        if (err && body &&
-            body.id === 'api.context.session_expired.app_error') {
-            self.emit('reauthAsserted');
-            callback(new VError('client needs to reauthenticate'));
+    self.passwordProvider.get(function (err, password) {
+        if (err) {
+            callback(new VError({
+                name: 'CredentialError',
+                cause: err
+            }, 'failed to get password'));
             return;
         }
 
-        callback(err, body);
-    };
+        login(password, self.account.mfaToken, false);
+    });
 };
 
 
-RawMattermostClient.prototype._processPosted = function (obj) {
+/*
+ * Save our new session token, if we have somewhere to put it. Failing to do
+ * so just means that we'll need to log in again next time.
+ */
+RawMattermostClient.prototype._cacheToken = function () {
     var self = this;
-    var post;
 
-    try {
-        post = JSON.parse(obj.data.post);
-    } catch (e) {
-        self.log.warn({
-            err: e,
-            payload: obj
-        }, 'received weird "posted" message');
+    if (self.tokenCache === null) {
         return;
     }
 
+    self.tokenCache.save(self.token, function (err) {
+        if (err) {
+            self.log.warn(err, 'failed to save session token');
+        }
+    });
+};
+
+
+/*
+ * Log in again after our session has expired. Concurrent callers share the
+ * same login attempt. Once we've got a new session, we emit "sessionRenewed"
+ * so that the websocket can reconnect with it.
+ */
+RawMattermostClient.prototype._renewSession = function (callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    if (self._renewing !== null) {
+        self._renewing.push(callback);
+        return;
+    }
+
+    if (self.passwordProvider === null) {
+        setImmediate(callback, new VError({
+            name: 'CredentialError'
+        }, 'session expired, and no password is available to log in again'));
+        return;
+    }
+
+    self._renewing = [ callback ];
+
+    self.log.info('session expired; logging in again');
+
+    self._login(function (err) {
+        var waiting = self._renewing;
+        self._renewing = null;
+
+        if (err) {
+            err = new VError(err, 'failed to renew session');
+            self.log.error(err, 'failed to renew session');
+        } else {
+            self.emit('sessionRenewed');
+        }
+
+        waiting.forEach(function (wcb) {
+            wcb(err || null);
+        });
+    });
+};
+
+
+/*
+ * Wrap a restify JSON client so that when a request fails because our
+ * session has expired, we log in again and retry it once with the new
+ * session's token.
+ */
+RawMattermostClient.prototype._renewingClient = function (client) {
+    var self = this;
+    var wrapped = {
+        client: client,
+        close: client.close.bind(client)
+    };
+
+    JSON_METHODS.forEach(function (method) {
+        wrapped[method] = function (opts) {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+
+            function send(retried) {
+                client[method].apply(client, args.concat(
+                    function (err, req, res, body) {
+                    if (!err || retried || !isSessionExpired(body) ||
+                        typeof (opts) !== 'object') {
+                        callback(err, req, res, body);
+                        return;
+                    }
+
+                    self._renewSession(function (rErr) {
+                        if (rErr) {
+                            callback(new VError({
+                                name: 'SessionExpiredError',
+                                cause: rErr
+                            }, 'session expired'), req, res, null);
+                            return;
+                        }
+
+                        opts.headers = mod_jsprim.mergeObjects(
+                            opts.headers, self._headers());
+                        send(true);
+                    });
+                }));
+            }
+
+            send(false);
+        };
+    });
+
+    return wrapped;
+};
+
+
+/*
+ * Wait before trying to authenticate or connect again, backing off further
+ * after each failure.
+ */
+RawMattermostClient.prototype.state_reconnecting = function (S) {
+    S.validTransitions([ 'authenticating', 'connecting' ]);
+
+    var self = this;
+    var attempt = ++self._attempts;
+    var delay = getReconnectDelay(attempt);
+
+    assert.string(self._retryState, '_retryState is set');
+    self._closeWebSocket();
+
+    self.log.warn({
+        err: self.lastErr,
+        attempt: attempt,
+        delay: delay
+    }, 'connection failed; retrying in %d ms', delay);
+
+    S.gotoStateTimeout(delay, self._retryState);
+
+    S.immediate(function () {
+        self._markDisconnected();
+        self.emit('reconnecting', attempt, delay);
+    });
+};
+
+RawMattermostClient.prototype._retry = function (S, state, err) {
+    this.lastErr = err;
+    this._retryState = state;
+    S.gotoState('reconnecting');
+};
+
+RawMattermostClient.prototype._closeWebSocket = function () {
+    if (this._mmws !== null) {
+        this._mmws.destroy();
+        this._mmws = null;
+    }
+
+    this._wsFailPending();
+};
+
+/*
+ * Let consumers know when we've lost a connection that we had.
+ */
+RawMattermostClient.prototype._markDisconnected = function () {
+    if (this._connected) {
+        this._connected = false;
+        this.emit('disconnected', this.lastErr);
+    }
+};
+
+
+RawMattermostClient.prototype.state_connecting = function (S) {
+    S.validTransitions([ 'authenticating', 'connected', 'reconnecting' ]);
+
+    var self = this;
+
+    self._closeWebSocket();
+
+    S.immediate(function () {
+        self._markDisconnected();
+    });
+
+    var wskey = shed.generateKey();
+    var wsreq = null;
+
+    /*
+     * If the server doesn't accept our token anymore, then we need to
+     * log in again before reconnecting.
+     */
+    function failed(err) {
+        self._retry(S, err.statusCode === 401
+            ? 'authenticating' : 'connecting', err);
+    }
+
+    S.timeout(WS_CONNECT_TIMEOUT, function () {
+        if (wsreq !== null) {
+            wsreq.abort();
+        }
+
+        failed(new VError('timed out connecting to websocket'));
+    });
+
+    self.httpClient.get({
+        path: '/api/v4/websocket',
+        headers: {
+            connection: 'upgrade',
+            upgrade: 'websocket',
+            'sec-websocket-key': wskey,
+            'sec-websocket-version': 13,
+            'Authorization': 'Bearer ' + self.token
+        }
+    }, S.callback(function (gErr, req) {
+        if (gErr) {
+            failed(gErr);
+            return;
+        }
+
+        wsreq = req;
+
+        /*
+         * The server replied without upgrading the connection.
+         */
+        req.once('result', S.callback(function (rErr, res) {
+            failed(rErr || new VError('server did not upgrade websocket ' +
+                'connection (status %d)', res.statusCode));
+        }));
+
+        req.once('upgradeResult', S.callback(function (uErr, res, socket,
+            head) {
+            if (uErr) {
+                failed(uErr);
+                return;
+            }
+
+            socket.setNoDelay(true);
+            socket.setKeepAlive(true, 5000);
+            self._mmws = shed.connect(res, socket, head, wskey);
+
+            S.gotoState('connected');
+        }));
+    }));
+};
+
+
+RawMattermostClient.prototype.state_connected = function (S) {
+    S.validTransitions([
+        'connected.failed',
+        'connecting',
+        'reconnecting'
+    ]);
+
+    var self = this;
+    var lastPong = Date.now();
+
+    self._connected = true;
+
+    S.on(self._mmws, 'text', function (msg) {
+        var obj;
+
+        try {
+            obj = JSON.parse(msg);
+        } catch (e) {
+            self.log.warn({
+                err: e,
+                payload: msg
+            }, 'failed to parse JSON message');
+            return;
+        }
+
+        self._processEvent(obj);
+    });
+
+    /*
+     * Once the server has answered a ping, we know that the connection
+     * really works, and can stop backing off.
+     */
+    S.on(self._mmws, 'pong', function () {
+        lastPong = Date.now();
+        self._attempts = 0;
+    });
+
+    S.on(self._mmws, 'connectionReset', function () {
+        self._retry(S, 'connecting', new VError('websocket reset'));
+    });
+
+    S.on(self._mmws, 'error', function (err) {
+        self.lastErr = err;
+        S.gotoState('connected.failed');
+    });
+
+    S.on(self._mmws, 'end', function () {
+        self._retry(S, 'connecting', new VError('websocket ended'));
+    });
+
+    S.on(self, 'sessionRenewed', function () {
+        self.log.info('session renewed; restarting connection');
+        self.lastErr = new VError('session renewed');
+        S.gotoState('connecting');
+    });
+
+    /*
+     * A connection can stop working without either side closing it (for
+     * example, if we move to a different network). If the server stops
+     * answering our pings, we treat the connection as dead.
+     */
+    S.interval(PING_INTERVAL, function () {
+        var silent = Date.now() - lastPong;
+        if (silent > PONG_TIMEOUT) {
+            self.lastErr = new VError('no pong received from server ' +
+                'in %d ms', silent);
+            S.gotoState('connected.failed');
+            return;
+        }
+
+        self._mmws._ws_writePing(new Buffer(0));
+    });
+
+    /*
+     * Inform consumers that we're now connected. The first time we
+     * get here, we emit "connected". If we lose the connection and
+     * restart, then we emit "reconnected".
+     */
+    if (self.connectEmitted) {
+        S.immediate(function () {
+            self.emit('reconnected');
+        });
+    } else {
+        S.immediate(function () {
+            self.connectEmitted = true;
+            self.emit('connected', self.user);
+        });
+    }
+};
+
+
+RawMattermostClient.prototype.state_connected.failed = function (S) {
+    S.validTransitions([ 'reconnecting' ]);
+
+    assert.ok(this.lastErr, 'lastErr is set');
+    this.log.error(this.lastErr, 'client has failed; reconnecting');
+
+    this._retry(S, 'connecting', this.lastErr);
+};
+
+/*
+ * The server has rejected our credentials, so there's nothing more we can do.
+ */
+RawMattermostClient.prototype.state_failed = function (S) {
+    S.validTransitions([ ]);
+
+    assert.ok(this.lastErr, 'lastErr is set');
+    this._closeWebSocket();
+    this._markDisconnected();
+    this.emit('error', new VError(this.lastErr, 'mattermost client failure'));
+};
+
+
+/*
+ * Send a request over the websocket, and call "callback" with the server's
+ * reply.
+ */
+RawMattermostClient.prototype.wsRequest = function (action, data, callback) {
+    assert.string(action, 'action');
+    assert.object(data, 'data');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    if (!self.isInState('connected') || self._mmws === null) {
+        setImmediate(callback,
+            new VError('cannot send "%s": websocket not connected', action));
+        return;
+    }
+
+    var seq = self._wsSeq++;
+    var req = {
+        action: action,
+        callback: callback,
+        timer: setTimeout(function () {
+            delete self._wsPending[seq];
+            callback(new VError({
+                name: 'TimeoutError',
+                info: {
+                    action: action,
+                    seq: seq
+                }
+            }, 'timed out waiting for reply to "%s"', action));
+        }, WS_REQUEST_TIMEOUT)
+    };
+
+    self._wsPending[seq] = req;
+
+    self._mmws.send(JSON.stringify({
+        seq: seq,
+        action: action,
+        data: data
+    }));
+};
+
+
+/*
+ * Handle the server's reply to something we sent with wsRequest().
+ */
+RawMattermostClient.prototype._wsProcessReply = function (obj) {
+    var seq = String(obj.seq_reply);
+
+    if (!mod_jsprim.hasKey(this._wsPending, seq)) {
+        this.log.debug({
+            response: obj
+        }, 'received reply for unknown websocket request');
+        return;
+    }
+
+    var req = this._wsPending[seq];
+    delete this._wsPending[seq];
+    clearTimeout(req.timer);
+
+    if (obj.status === 'OK') {
+        req.callback(null, obj.data);
+        return;
+    }
+
+    req.callback(new VError({
+        name: 'WebSocketRequestError',
+        info: {
+            action: req.action,
+            seq: seq,
+            error: obj.error
+        }
+    }, 'websocket request "%s" failed: %s', req.action,
+        obj.error && obj.error.message ? obj.error.message : obj.status));
+};
+
+
+/*
+ * Fail any requests waiting on replies from a websocket that's gone away.
+ */
+RawMattermostClient.prototype._wsFailPending = function () {
+    var pending = this._wsPending;
+
+    this._wsPending = {};
+
+    mod_jsprim.forEachKey(pending, function (_, req) {
+        clearTimeout(req.timer);
+        req.callback(new VError('websocket closed before "%s" got a reply',
+            req.action));
+    });
+};
+
+
+RawMattermostClient.prototype._handlecb = function (callback) {
+    var self = this;
+
+    return function (err, req, res, body) {
+        /*
+         * Requests made through "this.client" have already been
+         * retried with a new session by the time we get here. Others
+         * (like file transfers) can't be replayed, so we start logging
+         * in again for next time and report the failure.
+         */
+        if (err && isSessionExpired(body)) {
+            self._renewSession(function () {});
+            callback(new VError({
+                name: 'SessionExpiredError',
+                cause: err
+            }, 'session expired'));
+            return;
+        }
+
+        /*
+         * Mattermost returns a 403 when the user isn't allowed to do
+         * something (e.g., editing someone else's post). We give these
+         * a distinct name so that consumers can tell them apart from
+         * other failures.
+         */
+        if (err && err.statusCode === 403) {
+            callback(new VError({
+                name: 'PermissionDeniedError',
+                cause: err,
+                info: {
+                    id: body ? body.id : null
+                }
+            }, 'permission denied'));
+            return;
+        }
+
+        callback(err, body);
+    };
+};
+
+
+/*
+ * Several events send objects as JSON strings within "data", which we need to
+ * parse ourselves.
+ */
+RawMattermostClient.prototype._parseField = function (obj, field) {
+    try {
+        return JSON.parse(obj.data[field]);
+    } catch (e) {
+        this.log.warn({
+            err: e,
+            payload: obj
+        }, 'received weird "%s" message', obj.event);
+        return null;
+    }
+};
+
+/*
+ * Events that carry a post ("posted", "post_edited" and "post_deleted") send
+ * it in the "post" field.
+ */
+RawMattermostClient.prototype._parsePost = function (obj) {
+    return this._parseField(obj, 'post');
+};
+
+/*
+ * Reaction events carry the reaction as a JSON string in "data.reaction".
+ */
+RawMattermostClient.prototype._parseReaction = function (obj) {
+    if (typeof (obj.data.reaction) !== 'string') {
+        return obj.data;
+    }
+
+    return this._parseField(obj, 'reaction');
+};
+
+RawMattermostClient.prototype._processPosted = function (obj) {
+    var self = this;
+    var post = self._parsePost(obj);
+    if (post === null) {
+        return;
+    }
+
+    /*
+     * If the post mentions us, then "mentions" is a JSON string of an
+     * array containing our id.
+     */
+    if (typeof (obj.data.mentions) === 'string') {
+        obj.data.mentions = self._parseField(obj, 'mentions');
+    }
+
     switch (post.type) {
     case '':
         /*
@@ -348,13 +1129,20 @@ RawMattermostClient.prototype._processPosted = function (obj) {
          * Sent when webhooks are called (e.g., integrations with CI
          * systems like Jenkins). "props" contains:
          *   - "attachments", an array of attachments
+         *
+         * These are delivered like normal messages, and consumers can
+         * get at the attachments through the message.
          */
+        self.emit('message', obj.data, post);
         return;
     case 'system_header_change':
         /*
-         * Sent when a room header changes.
+         * Sent when a room header changes. "props" contains:
+         *   - "old_header", the previous header
+         *   - "new_header", the new header
+         *   - "username", the user who changed it
          */
-        return;
+        /* fallthrough */
     case 'system_add_to_channel':
         /*
          * When someone adds a user to a channel. "props" contains:
@@ -362,52 +1150,75 @@ RawMattermostClient.prototype._processPosted = function (obj) {
          *   - "username", the user who did the adding
          *
          * Both of these are actual names, like "joybot2" or
-         * "cody.mello", and not IDs.
+         * "cody.mello", and not IDs. Newer servers also include
+         * "addedUserId" and "userId".
         */
-        return;
+        /* fallthrough */
     case 'system_join_channel':
         /*
          * Sent when a user joins a channel. "props" contains:
          *   - "username", the user who joined
          */
-        return;
+        /* fallthrough */
     case 'system_leave_channel':
         /*
          * Sent when a user leaves a channel. "props" contains:
          *   - "username", the user who left
          */
-        return;
+        /* fallthrough */
     case 'system_remove_from_channel':
         /*
-         *
+         * Sent when a user is removed from a channel. "props" contains:
+         *   - "removedUsername", the user who was removed
+         *   - "removedUserId", on newer servers
          */
-        return;
+        /* fallthrough */
     case 'system_displayname_change':
         /*
-         *
+         * Sent when a channel is renamed. "props" contains:
+         *   - "old_displayname", the previous name
+         *   - "new_displayname", the new name
+         *   - "username", the user who renamed it
          */
-        return;
+        /* fallthrough */
     case 'system_purpose_change':
         /*
-         *
+         * Sent when a channel's purpose changes. "props" contains:
+         *   - "old_purpose", the previous purpose
+         *   - "new_purpose", the new purpose
+         *   - "username", the user who changed it
          */
-        return;
+        /* fallthrough */
     case 'system_channel_deleted':
         /*
-         *
+         * Sent when a channel is archived. "props" contains:
+         *   - "username", the user who archived it
          */
-        return;
+        /* fallthrough */
     case 'system_ephemeral':
         /*
-         *
+         * A message from the server meant only for us.
          */
-        return;
+        /* fallthrough */
     case 'system_generic':
         /*
          * Seems to be unused?
          */
+        self.emit('message', obj.data, post);
         return;
     default:
+        /*
+         * There are many other kinds of system messages (e.g.,
+         * "system_join_team" or "system_combined_user_activity"), and
+         * newer servers keep adding more. We deliver all of them, so
+         * that they show up live the same way they do when loading a
+         * room's history.
+         */
+        if (MattermostSystemMessage.isSystemPost(post)) {
+            self.emit('message', obj.data, post);
+            return;
+        }
+
         self.log.warn({
             type: post.type,
             message: obj
@@ -418,6 +1229,7 @@ RawMattermostClient.prototype._processPosted = function (obj) {
 
 RawMattermostClient.prototype._processEvent = function (obj) {
     var self = this;
+    var channel, post, reaction, team;
 
     self.log.debug({ payload: obj }, 'event received');
 
@@ -431,20 +1243,34 @@ RawMattermostClient.prototype._processEvent = function (obj) {
     case 'typing':
         /*
          * Sent to indicate that a user is currently typing.
+         * "data" contains:
+         *   - "user_id", who is typing
+         *   - "parent_id", the post they're replying to, if any
+         * The channel they're typing in is in "broadcast".
          */
         this.emit('typing', obj);
         break;
 
     case 'channel_viewed':
         /*
-         * Sent after the user has viewed a channel.
+         * Sent after the user has viewed a channel (possibly from
+         * another session).
+         * "data" contains:
+         *   - "channel_id", the channel that was viewed
          */
+        this.emit('channelViewed', obj.data);
         break;
 
     case 'channel_updated':
         /*
          * Sent when channel properties are updated.
+         * "data" contains:
+         *   - "channel", the updated channel as a JSON string
          */
+        channel = this._parseField(obj, 'channel');
+        if (channel !== null) {
+            this.emit('channelUpdated', channel);
+        }
         break;
 
     case 'posted':
@@ -457,34 +1283,55 @@ RawMattermostClient.prototype._processEvent = function (obj) {
     case 'post_edited':
         /*
          * Sent when a post gets edited by a user.
+         * "data" contains:
+         *   - "post", the updated post as a JSON string
          */
+        post = this._parsePost(obj);
+        if (post !== null) {
+            this.emit('postEdited', obj.data, post);
+        }
         break;
 
     case 'status_change':
         /*
          * Sent when a user's status changes.
          * "data" contains:
-         *   - "status", one of "away", "offline" or "online"
+         *   - "status", one of "away", "dnd", "offline" or "online"
          *   - "user_id", the user whose status changed
          */
+        this.emit('statusChange', obj.data);
         break;
 
     case 'post_deleted':
         /*
          * Sent when a post gets deleted by a user.
+         * "data" contains:
+         *   - "post", the deleted post as a JSON string
          */
+        post = this._parsePost(obj);
+        if (post !== null) {
+            this.emit('postDeleted', obj.data, post);
+        }
         break;
 
     case 'channel_created':
         /*
-         *
+         * Sent to the user who created a channel.
+         * "data" contains:
+         *   - "channel_id", the new channel
+         *   - "team_id", the team it was created in
          */
+        this.emit('channelCreated', obj.data, obj.broadcast);
         break;
 
     case 'channel_deleted':
         /*
-         *
+         * Sent when a channel is archived.
+         * "data" contains:
+         *   - "channel_id", the archived channel
+         *   - "delete_at", when it was archived
          */
+        this.emit('channelDeleted', obj.data, obj.broadcast);
         break;
 
     case 'direct_added':
@@ -492,19 +1339,29 @@ RawMattermostClient.prototype._processEvent = function (obj) {
          * Sent when a new direct channel is created for the user.
          * "data" contains:
          *   - "teammate_id", the user on the other side of the direct channel
+         * The new channel is in "broadcast".
          */
+        this.emit('directAdded', obj.data, obj.broadcast);
         break;
 
     case 'group_added':
         /*
-         *
+         * Sent when a new group channel is created with the user in it.
+         * "data" contains:
+         *   - "teammate_ids", a JSON string of the other members' ids
+         * The new channel is in "broadcast".
          */
+        this.emit('groupAdded', obj.data, obj.broadcast);
         break;
 
     case 'added_to_team':
         /*
-         *
+         * Sent when the user is added to a team.
+         * "data" contains:
+         *   - "team_id", the team they were added to
+         *   - "user_id", the user who was added
          */
+        this.emit('addedToTeam', obj.data, obj.broadcast);
         break;
 
     case 'new_user':
@@ -517,14 +1374,24 @@ RawMattermostClient.prototype._processEvent = function (obj) {
 
     case 'leave_team':
         /*
-         *
+         * Sent when a user leaves or is removed from a team.
+         * "data" contains:
+         *   - "team_id", the team they left
+         *   - "user_id", the user who left
          */
+        this.emit('leftTeam', obj.data, obj.broadcast);
         break;
 
     case 'update_team':
         /*
-         *
+         * Sent when a team's properties are updated.
+         * "data" contains:
+         *   - "team", the updated team as a JSON string
          */
+        team = this._parseField(obj, 'team');
+        if (team !== null) {
+            this.emit('teamUpdated', team);
+        }
         break;
 
     case 'user_added':
@@ -533,7 +1400,9 @@ RawMattermostClient.prototype._processEvent = function (obj) {
          * "data" contains:
          *   - "team_id", the team the channel's in
          *   - "user_id", the added user
+         * The channel is in "broadcast".
          */
+        this.emit('userAdded', obj.data, obj.broadcast);
         break;
 
     case 'user_removed':
@@ -543,7 +1412,10 @@ RawMattermostClient.prototype._processEvent = function (obj) {
          *   - "user_id", who left
          *   - "remover_id", to indicate who left (usually, but not always,
          *     the same as "user_id")
+         * When we're the one who left, "data" instead contains the
+         * "channel_id", and our id is in "broadcast".
          */
+        this.emit('userRemoved', obj.data, obj.broadcast);
         break;
 
     case 'preference_changed':
@@ -582,11 +1454,16 @@ RawMattermostClient.prototype._processEvent = function (obj) {
         /*
          * Sent when a post has a reaction added to it.
          * "data" contains:
-         *   - "user_id", who added the reaction
-         *   - "post_id", the post the reaction was added to
-         *   - "emoji_name", the reaction placed on the post
-         *   - "create_at", the time it was added
+         *   - "reaction", a JSON string of an object containing:
+         *     - "user_id", who added the reaction
+         *     - "post_id", the post the reaction was added to
+         *     - "emoji_name", the reaction placed on the post
+         *     - "create_at", the time it was added
          */
+        reaction = this._parseReaction(obj);
+        if (reaction !== null) {
+            this.emit('reactionAdded', obj.broadcast, reaction);
+        }
         break;
 
     case 'memberrole_updated':
@@ -609,8 +1486,13 @@ RawMattermostClient.prototype._processEvent = function (obj) {
 
     case 'reaction_removed':
         /*
-         *
+         * Sent when a reaction is removed from a post. "data" contains
+         * the removed "reaction", in the same format as "reaction_added".
          */
+        reaction = this._parseReaction(obj);
+        if (reaction !== null) {
+            this.emit('reactionRemoved', obj.broadcast, reaction);
+        }
         break;
 
     case 'response':
@@ -636,6 +1518,7 @@ RawMattermostClient.prototype._processEvent = function (obj) {
             self.log.debug({
                 response: obj
             }, 'received response to websocket message');
+            self._wsProcessReply(obj);
             break;
         }
         /* fallthrough */
@@ -666,11 +1549,31 @@ RawMattermostClient.prototype.getTokenHeader = function () {
     return 'Bearer ' + this.token;
 };
 
-
-RawMattermostClient.prototype.listTeams = function (callback) {
+
+/*
+ * Get the user that we're logged in as.
+ */
+RawMattermostClient.prototype.getMe = function (callback) {
+    assert.func(callback, 'callback');
+
+    this.client.get(this._pathObj('/users/me'), this._handlecb(callback));
+};
+
+RawMattermostClient.prototype.listTeams = function (callback) {
+    assert.func(callback, 'callback');
+
+    this.client.get(this._pathObj('/teams'),
+        this._handlecb(callback));
+};
+
+/*
+ * List the user's memberships in the teams that they belong to.
+ */
+RawMattermostClient.prototype.getTeamMembersForUser = function (uid, callback) {
+    assert.string(uid, 'uid');
     assert.func(callback, 'callback');
 
-    this.client.get(this._pathObj('/teams'),
+    this.client.get(this._pathObj('/users', uid, 'teams/members'),
         this._handlecb(callback));
 };
 
@@ -733,6 +1636,29 @@ RawMattermostClient.prototype.searchUsers =
 };
 
 
+RawMattermostClient.prototype.getUserStatusesByIds =
+    function getUserStatusesByIds(ids, callback) {
+    assert.arrayOfString(ids, 'ids');
+    assert.func(callback, 'callback');
+
+    this.client.post(this._pathObj('/users/status/ids'), ids,
+        this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.updateUserStatus =
+    function updateUserStatus(uid, status, callback) {
+    assert.string(uid, 'uid');
+    assert.string(status, 'status');
+    assert.func(callback, 'callback');
+
+    this.client.put(this._pathObj('/users', uid, 'status'), {
+        user_id: uid,
+        status: status
+    }, this._handlecb(callback));
+};
+
+
 RawMattermostClient.prototype.addUserToChannel =
     function addUserToChannel(channel, user, callback) {
     assert.string(channel, 'channel');
@@ -762,16 +1688,39 @@ RawMattermostClient.prototype.removeUserFromChannel =
 RawMattermostClient.prototype.joinChannel =
     function joinChannel(channel, callback) {
     assert.object(this.user, 'must be logged in');
-    this.addUserToChannel(channel, this.user.id,
-        this._handlecb(callback));
+    this.addUserToChannel(channel, this.user.id, callback);
 };
 
 
 RawMattermostClient.prototype.leaveChannel =
-    function joinChannel(channel, callback) {
+    function leaveChannel(channel, callback) {
     assert.object(this.user, 'must be logged in');
-    this.removeUserFromChannel(channel, this.user.id,
-        this._handlecb(callback));
+    this.removeUserFromChannel(channel, this.user.id, callback);
+};
+
+
+RawMattermostClient.prototype.listPublicChannels =
+    function listPublicChannels(teamId, params, callback) {
+    assert.string(teamId, 'teamId');
+    assert.object(params, 'params');
+    assert.func(callback, 'callback');
+
+    var opts = this._pathObj('/teams', teamId, 'channels');
+    opts.query = params;
+
+    this.client.get(opts, this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.searchChannels =
+    function searchChannels(teamId, term, callback) {
+    assert.string(teamId, 'teamId');
+    assert.string(term, 'term');
+    assert.func(callback, 'callback');
+
+    this.client.post(this._pathObj('/teams', teamId, 'channels/search'), {
+        term: term
+    }, this._handlecb(callback));
 };
 
 
@@ -795,6 +1744,118 @@ RawMattermostClient.prototype.getChannelById = function (id, callback) {
 };
 
 
+RawMattermostClient.prototype.createChannel = function (params, callback) {
+    assert.object(params, 'params');
+    assert.string(params.team_id, 'params.team_id');
+    assert.string(params.name, 'params.name');
+    assert.func(callback, 'callback');
+
+    this.client.post(this._pathObj('/channels'), params,
+        this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.patchChannel = function (id, params, callback) {
+    assert.string(id, 'id');
+    assert.object(params, 'params');
+    assert.func(callback, 'callback');
+
+    this.client.put(this._pathObj('/channels', id, 'patch'), params,
+        this._handlecb(callback));
+};
+
+
+/*
+ * Archive a channel.
+ */
+RawMattermostClient.prototype.deleteChannel = function (id, callback) {
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    this.client.delete(this._pathObj('/channels', id),
+        this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.getChannelMembers = function (id, callback) {
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    this.client.get(this._pathObj('/channels', id, 'members'),
+        this._handlecb(callback));
+};
+
+
+/*
+ * Create a group message channel between the given users (which should
+ * include us). If one already exists, the server returns it.
+ */
+RawMattermostClient.prototype.createGroupChannel = function (uids, callback) {
+    assert.arrayOfString(uids, 'uids');
+    assert.func(callback, 'callback');
+
+    this.client.post(this._pathObj('/channels/group'), uids,
+        this._handlecb(callback));
+};
+
+
+/*
+ * Create a direct message channel between two users. If one already exists,
+ * the server returns it.
+ */
+RawMattermostClient.prototype.createDirectChannel =
+    function (uid1, uid2, callback) {
+    assert.string(uid1, 'uid1');
+    assert.string(uid2, 'uid2');
+    assert.func(callback, 'callback');
+
+    this.client.post(this._pathObj('/channels/direct'), [ uid1, uid2 ],
+        this._handlecb(callback));
+};
+
+
+/*
+ * Get our membership information for a channel (including how many of its
+ * messages we've seen).
+ */
+RawMattermostClient.prototype.getChannelMember =
+    function (channel, uid, callback) {
+    assert.string(channel, 'channel');
+    assert.string(uid, 'uid');
+    assert.func(callback, 'callback');
+
+    this.client.get(this._pathObj('/channels', channel, 'members', uid),
+        this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.getChannelMembersForUser =
+    function (uid, tid, callback) {
+    assert.string(uid, 'uid');
+    assert.string(tid, 'tid');
+    assert.func(callback, 'callback');
+
+    this.client.get(this._pathObj('/users', uid, 'teams', tid,
+        'channels/members'), this._handlecb(callback));
+};
+
+
+/*
+ * Mark a channel as viewed, which tells the server that we've read all of
+ * its messages.
+ */
+RawMattermostClient.prototype.viewChannel = function (uid, channel, callback) {
+    assert.string(uid, 'uid');
+    assert.string(channel, 'channel');
+    assert.func(callback, 'callback');
+
+    this.client.post(this._pathObj('/channels/members', uid, 'view'), {
+        channel_id: channel,
+        prev_channel_id: ''
+    }, this._handlecb(callback));
+};
+
+
 RawMattermostClient.prototype.getChannelsForUser =
     function (uid, tid, callback) {
     assert.string(uid, 'uid');
@@ -807,26 +1868,344 @@ RawMattermostClient.prototype.getChannelsForUser =
 
 
 RawMattermostClient.prototype.getPostsForChannel =
-    function (channel, callback) {
+    function (channel, params, callback) {
+    if (typeof (params) === 'function') {
+        callback = params;
+        params = {};
+    }
+
     assert.string(channel, 'channel');
+    assert.object(params, 'params');
+    assert.func(callback, 'callback');
+
+    var opts = this._pathObj('/channels', channel, 'posts');
+    opts.query = params;
+
+    this.client.get(opts, this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.getPostThread = function (id, callback) {
+    assert.string(id, 'id');
     assert.func(callback, 'callback');
 
-    this.client.get(this._pathObj('/channels', channel, 'posts'),
+    this.client.get(this._pathObj('/posts', id, 'thread'),
         this._handlecb(callback));
 };
 
 
-RawMattermostClient.prototype.createPost = function (room, msg, callback) {
+RawMattermostClient.prototype.addReaction =
+    function (uid, pid, emoji, callback) {
+    assert.string(uid, 'uid');
+    assert.string(pid, 'pid');
+    assert.string(emoji, 'emoji');
+    assert.func(callback, 'callback');
+
+    this.client.post(this._pathObj('/reactions'), {
+        user_id: uid,
+        post_id: pid,
+        emoji_name: emoji
+    }, this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.removeReaction =
+    function (uid, pid, emoji, callback) {
+    assert.string(uid, 'uid');
+    assert.string(pid, 'pid');
+    assert.string(emoji, 'emoji');
+    assert.func(callback, 'callback');
+
+    this.client.delete(this._pathObj('/users', uid, 'posts', pid,
+        'reactions', emoji), this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.createPost =
+    function (room, msg, opts, callback) {
+    if (typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+    }
+
     assert.string(room, 'room');
     assert.string(msg, 'msg');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.rootId, 'opts.rootId');
+    assert.optionalString(opts.pendingPostId, 'opts.pendingPostId');
+    assert.optionalArrayOfString(opts.fileIds, 'opts.fileIds');
     assert.func(callback, 'callback');
 
-    this.client.post(this._pathObj('/posts'), {
+    var body = {
         channel_id: room,
         message: msg,
-        root_id: '',
-        file_ids: []
-    }, this._handlecb(callback));
+        root_id: opts.rootId || '',
+        file_ids: opts.fileIds || []
+    };
+
+    if (opts.pendingPostId) {
+        body.pending_post_id = opts.pendingPostId;
+    }
+
+    this.client.post(this._pathObj('/posts'), body, this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.patchPost = function (id, params, callback) {
+    assert.string(id, 'id');
+    assert.object(params, 'params');
+    assert.func(callback, 'callback');
+
+    this.client.put(this._pathObj('/posts', id, 'patch'), params,
+        this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.deletePost = function (id, callback) {
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    this.client.delete(this._pathObj('/posts', id),
+        this._handlecb(callback));
+};
+
+
+RawMattermostClient.prototype.getFileInfo = function (id, callback) {
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    this.client.get(this._pathObj('/files', id, 'info'),
+        this._handlecb(callback));
+};
+
+/*
+ * Get the information for all of the files attached to a post.
+ */
+RawMattermostClient.prototype.getFileInfosForPost = function (id, callback) {
+    assert.string(id, 'id');
+    assert.func(callback, 'callback');
+
+    this.client.get(this._pathObj('/posts', id, 'files', 'info'),
+        this._handlecb(callback));
+};
+
+
+/*
+ * Download a file (or, if "variant" is "thumbnail" or "preview", the image
+ * the server generated for it) and write it into "stream".
+ */
+RawMattermostClient.prototype.getFile =
+    function (id, variant, stream, callback) {
+    assert.string(id, 'id');
+    assert.string(variant, 'variant');
+    assert.ok(FILE_VARIANTS.indexOf(variant) !== -1,
+        'variant must be one of: ' + FILE_VARIANTS.join(', '));
+    assert.object(stream, 'stream');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.httpClient.get(self._pathObj('/files', id, variant),
+        function (err, req) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        req.on('result', function (rErr, res) {
+            if (rErr) {
+                self._readBody(res, function (body) {
+                    self._handlecb(callback)(rErr, req, res, body);
+                });
+                return;
+            }
+
+            res.on('error', callback);
+            res.on('end', function () {
+                callback(null);
+            });
+            res.pipe(stream, { end: false });
+        });
+    });
+};
+
+
+/*
+ * Upload the files at the given paths into a channel. The returned emitter
+ * emits "progress" as the files are sent, with the number of bytes sent so
+ * far and the total number to send.
+ */
+RawMattermostClient.prototype.uploadFiles =
+    function (channel, paths, callback) {
+    assert.string(channel, 'channel');
+    assert.arrayOfString(paths, 'paths');
+    assert.ok(paths.length > 0, 'must upload at least one file');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var finished = false;
+    var progress = new mod_events.EventEmitter();
+    var boundary = '----iamb' + mod_crypto.randomBytes(12).toString('hex');
+
+    var head = mod_util.format('--%s\r\nContent-Disposition: form-data; ' +
+        'name="channel_id"\r\n\r\n%s\r\n', boundary, channel);
+    var tail = mod_util.format('--%s--\r\n', boundary);
+    var parts = paths.map(function (path) {
+        var name = mod_path.basename(path).replace(/["\\\r\n]/g, '_');
+        return {
+            path: path,
+            head: mod_util.format('--%s\r\nContent-Disposition: form-data; ' +
+                'name="files"; filename="%s"\r\n' +
+                'Content-Type: application/octet-stream\r\n\r\n',
+                boundary, name),
+            size: 0
+        };
+    });
+
+    var total = Buffer.byteLength(head) + Buffer.byteLength(tail);
+    var sent = 0;
+
+    /*
+     * If reading a file fails partway through, we abort the request,
+     * which will then also fail. Only report the first error.
+     */
+    function finish(err, res) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        callback(err, res);
+    }
+
+    function statFile(i) {
+        if (i >= parts.length) {
+            send();
+            return;
+        }
+
+        mod_fs.stat(parts[i].path, function (err, stats) {
+            if (err) {
+                finish(new VError(err, 'failed to upload %j',
+                    parts[i].path));
+                return;
+            }
+
+            parts[i].size = stats.size;
+            total += Buffer.byteLength(parts[i].head) + stats.size + 2;
+
+            statFile(i + 1);
+        });
+    }
+
+    function send() {
+        var opts = self._pathObj('/files');
+        opts.headers['content-type'] =
+            'multipart/form-data; boundary=' + boundary;
+        opts.headers['content-length'] = total;
+
+        self.httpClient.post(opts, function (err, req) {
+            if (err) {
+                finish(err);
+                return;
+            }
+
+            req.on('result', function (rErr, res) {
+                self._readBody(res, function (body) {
+                    self._handlecb(finish)(rErr, req, res, body);
+                });
+            });
+
+            /*
+             * We only count data as sent once it's been flushed to the
+             * connection, rather than when we hand it to the request.
+             */
+            function sentCb(data) {
+                return function (wErr) {
+                    if (!wErr) {
+                        sent += Buffer.byteLength(data);
+                        progress.emit('progress', sent, total);
+                    }
+                };
+            }
+
+            function write(data) {
+                return req.write(data, sentCb(data));
+            }
+
+            function writePart(i) {
+                if (i >= parts.length) {
+                    req.end(tail, sentCb(tail));
+                    return;
+                }
+
+                write(parts[i].head);
+
+                /*
+                 * Stop reading the file whenever the request's buffer
+                 * fills up, so that we don't read large files entirely
+                 * into memory while waiting on the network.
+                 */
+                var file = mod_fs.createReadStream(parts[i].path);
+                file.on('data', function (chunk) {
+                    if (!write(chunk)) {
+                        file.pause();
+                        req.once('drain', function () {
+                            file.resume();
+                        });
+                    }
+                });
+                file.on('error', function (fErr) {
+                    req.abort();
+                    finish(new VError(fErr, 'failed to upload %j',
+                        parts[i].path));
+                });
+                file.on('end', function () {
+                    write('\r\n');
+                    writePart(i + 1);
+                });
+            }
+
+            write(head);
+            writePart(0);
+        });
+    }
+
+    statFile(0);
+
+    return progress;
+};
+
+
+/*
+ * Read and parse the JSON body of a response from the raw HTTP client. If
+ * there's no response, or it can't be parsed, then we pass back null.
+ */
+RawMattermostClient.prototype._readBody = function (res, callback) {
+    if (!res) {
+        callback(null);
+        return;
+    }
+
+    var self = this;
+    var chunks = [];
+
+    res.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+
+    res.on('end', function () {
+        var body;
+
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+            self.log.debug(e, 'failed to parse response body');
+            body = null;
+        }
+
+        callback(body);
+    });
 };
 
 module.exports = RawMattermostClient;
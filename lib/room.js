@@ -17,21 +17,28 @@ var mod_taiga = require('taiga');
 var mod_util = require('util');
 
 var MattermostMessage = require('./message');
+var MattermostSystemMessage = require('./system');
+var MattermostThread = require('./thread');
+var parseSubstitution = require('./substitution').parseSubstitution;
+var VError = require('verror');
 
-// --- Internal helpers
+// --- Globals
 
-function compareMessages(a, b) {
-    var ac = a.created();
-    var bc = b.created();
+/*
+ * How long after a user's last typing notification we consider them to have
+ * stopped typing.
+ */
+var TYPING_EXPIRE = 5000;
 
-    if (ac < bc) {
-        return (-1);
-    } else if (ac === bc) {
-        return (0);
-    } else {
-        return (1);
-    }
-}
+/*
+ * The minimum time between typing notifications we send for a room.
+ */
+var TYPING_THROTTLE = 3000;
+
+/*
+ * The largest number of posts that the server will return in one page.
+ */
+var MAX_PAGE_SIZE = 200;
 
 // --- Exports
 
@@ -39,131 +46,1019 @@ function MattermostRoom(opts) {
     assert.object(opts, 'opts');
     assert.object(opts.client, 'opts.client');
     assert.object(opts.users, 'opts.users');
+    assert.optionalObject(opts.matcher, 'opts.matcher');
+    assert.optionalObject(opts.team, 'opts.team');
+    assert.optionalFunc(opts.defaultTeam, 'opts.defaultTeam');
 
     this.mmr_client = opts.client;
     this.mmr_users = opts.users;
+    this.mmr_matcher = opts.matcher || null;
+
+    /*
+     * The team that this channel belongs to. Direct and group messages
+     * aren't part of any team.
+     */
+    this.mmr_team = opts.team || null;
+
+    /*
+     * Returns the team that unqualified channel names refer to. Channels
+     * in other teams are named "team/channel".
+     */
+    this.mmr_defaultTeam = opts.defaultTeam || null;
 
     var channel = opts.channel;
     this.mmr_id = channel.id;
     this.mmr_alias = channel.name;
     this.mmr_name = channel.display_name;
     this.mmr_type = channel.type;
+    this.mmr_header = channel.header || '';
+    this.mmr_purpose = channel.purpose || '';
+
+    /*
+     * How many messages in the room we haven't read, and how many of
+     * those mention us. We get these from the server when we start (by
+     * comparing the channel's message count to how many we've seen), and
+     * then keep them updated as messages arrive.
+     */
+    this.mmr_total = channel.total_msg_count || 0;
+    this.mmr_unread = 0;
+    this.mmr_mentions = 0;
+
+    this.mmr_msgs = new mod_taiga.AVLTree({
+        compare: MattermostMessage.compare
+    });
+    this.mmr_threads = {};
+
+    /*
+     * Index of the messages in "mmr_msgs" by their post id. Messages that
+     * we've sent but that the server hasn't confirmed yet are indexed by
+     * their "pending_post_id".
+     */
+    this.mmr_ids = {};
+
+    this.mmr_typing = {};
+    this.mmr_typingSent = 0;
+
+    /*
+     * Once we've loaded the room's history, we track the most recent
+     * time that we've seen a post get created or updated. When we
+     * reconnect, we only need to fetch posts that have changed since.
+     */
+    this.mmr_synced = false;
+    this.mmr_newest = 0;
 
-    this.mmr_msgs = new mod_taiga.AVLTree({ compare: compareMessages });
+    /*
+     * When scrolling back through history, we track callers waiting on
+     * the request that's currently in flight (if any), and whether we've
+     * reached the start of the channel.
+     */
+    this.mmr_older = null;
+    this.mmr_beginning = false;
 
     this.mmr_other = null;
 
+    /*
+     * For group messages, the other users in the group, once loaded.
+     */
+    this.mmr_members = null;
+
     mod_mooremachine.FSM.call(this, 'waiting');
 }
 mod_util.inherits(MattermostRoom, mod_mooremachine.FSM);
 
 MattermostRoom.prototype.state_waiting = function waiting(S) {
-    S.validTransitions([ 'loading' ]);
+    S.validTransitions([ 'loading', 'closed' ]);
 
     S.on(this, 'fetchAsserted', function () {
         S.gotoState('loading');
     });
+
+    S.gotoStateOn(this, 'closeAsserted', 'closed');
 };
 
 MattermostRoom.prototype.state_loading = function loadHistory(S) {
-    S.validTransitions([ 'loading', 'listening' ]);
+    S.validTransitions([ 'loading', 'listening', 'closed' ]);
 
     var self = this;
+    var params = {};
+
+    if (self.mmr_synced) {
+        params.since = self.mmr_newest;
+    }
 
-    self.mmr_client.getPostsForChannel(self.mmr_id, function (err, posts) {
+    S.gotoStateOn(self, 'closeAsserted', 'closed');
+
+    self.mmr_client.getPostsForChannel(self.mmr_id, params,
+        S.callback(function (err, posts) {
         if (err) {
             S.gotoState('loading');
             return;
         }
 
         self._loadPosts(posts);
+        self.mmr_synced = true;
 
         S.gotoState('listening');
-    });
+    }));
 };
 
 
 MattermostRoom.prototype.state_listening = function loadHistory(S) {
-    S.validTransitions([ 'loading' ]);
+    S.validTransitions([ 'loading', 'closed' ]);
 
     var self = this;
 
+    S.gotoStateOn(self, 'closeAsserted', 'closed');
+
     /*
      * When the client reconnects, we need to load any messages we
      * may have missed.
      */
-    S.on(self.mmr_client, 'reconnect', function () {
+    S.on(self.mmr_client, 'reconnected', function () {
         S.gotoState('loading');
     });
 };
 
 
+/*
+ * We've left the room, or it's been archived, so there's nothing more to
+ * keep up to date.
+ */
+MattermostRoom.prototype.state_closed = function closed(S) {
+    S.validTransitions([]);
+};
+
+
+/*
+ * Add a post fetched from the server to this room's history. We may already
+ * have the post (e.g., if it was delivered over the WebSocket while we were
+ * loading, or if we're catching up after a reconnect), in which case we apply
+ * any changes to it instead.
+ */
 MattermostRoom.prototype._loadPost = function loadPost(post) {
-    var speaker = this.mmr_users.getUser(post.user_id, null);
-    var message = new MattermostMessage(this, speaker, post);
+    this._sawPost(post);
+
+    var existing = this._findMessage(post);
+    if (existing !== null) {
+        if (post.delete_at) {
+            this._deletePost(post);
+        } else if ((post.edit_at || 0) > (existing.editedAt() || 0)) {
+            this._editPost(post);
+        }
+        return;
+    }
+
+    if (post.delete_at) {
+        return;
+    }
+
+    this.append(this._createMessage(post, null));
+};
+
+/*
+ * Create the appropriate kind of message for a post in this room.
+ */
+MattermostRoom.prototype._createMessage = function createMessage(post,
+    nickname) {
+    var speaker = this.mmr_users.getUser(post.user_id, nickname);
 
-    this.append(message);
+    if (MattermostSystemMessage.isSystemPost(post)) {
+        return new MattermostSystemMessage(this, speaker, post);
+    }
+
+    return new MattermostMessage(this, speaker, post);
+};
+
+/*
+ * Track the most recent change to this room's posts that we've seen.
+ */
+MattermostRoom.prototype._sawPost = function sawPost(post) {
+    this.mmr_newest = Math.max(this.mmr_newest,
+        post.create_at || 0, post.update_at || 0, post.delete_at || 0);
 };
 
 /*
  * Adds a new message to this room's history, and informs any listeners of it.
  *
  * We call this when initially loading messages for the room, and later on when
- * receiving new messages over the WebSocket.
+ * receiving new messages over the WebSocket. If the message is the server's
+ * copy of one that we sent, then we replace our pending copy with it.
  */
 MattermostRoom.prototype.append = function appendPost(message) {
-    message.mmm_node = this.mmr_msgs.insert(message);
+    if (mod_jsprim.hasKey(this.mmr_ids, message.mmm_id)) {
+        return false;
+    }
+
+    var pending = message.mmm_post.pending_post_id;
+    if (pending && mod_jsprim.hasKey(this.mmr_ids, pending) &&
+        this.mmr_ids[pending].isPending()) {
+        this._confirmPending(this.mmr_ids[pending], message.mmm_post);
+        return false;
+    }
+
+    this._insert(message);
+    this._sawPost(message.mmm_post);
 
     this.emit('message', message);
+
+    /*
+     * Once someone's message shows up, they're done typing it.
+     */
+    this._stoppedTyping(message.speaker().id());
+
+    var root = message.rootId();
+    if (root !== null && mod_jsprim.hasKey(this.mmr_threads, root)) {
+        this.mmr_threads[root]._append(message);
+    }
+
+    return true;
+};
+
+MattermostRoom.prototype._insert = function insertMessage(message) {
+    assert.string(message.mmm_id, 'message.mmm_id');
+
+    message.mmm_node = this.mmr_msgs.insert(message);
+    this.mmr_ids[message.mmm_id] = message;
+};
+
+/*
+ * Replace a message we sent with the server's copy of it. Since the post's
+ * id and creation time change, we need to move it within the history.
+ */
+MattermostRoom.prototype._confirmPending = function confirmPending(message,
+    post) {
+    delete this.mmr_ids[message.mmm_id];
+    message.mmm_node.remove();
+
+    message._confirm(post);
+
+    this._insert(message);
+    this._sawPost(post);
+
+    this.emit('confirmed', message);
+};
+
+/*
+ * Look up the message in this room's history corresponding to the given
+ * post.
+ */
+MattermostRoom.prototype._findMessage = function findMessage(post) {
+    assert.object(post, 'post');
+    assert.string(post.id, 'post.id');
+
+    return this._findMessageById(post.id);
+};
+
+MattermostRoom.prototype._findMessageById = function findMessageById(id) {
+    assert.string(id, 'id');
+
+    if (!mod_jsprim.hasKey(this.mmr_ids, id)) {
+        return null;
+    }
+
+    return this.mmr_ids[id];
+};
+
+/*
+ * Apply an edit to a post in this room's history. If we haven't loaded the
+ * post, then there's nothing to update.
+ */
+MattermostRoom.prototype._editPost = function editPost(post) {
+    this._sawPost(post);
+
+    var message = this._findMessage(post);
+    if (message === null) {
+        return;
+    }
+
+    message._edit(post);
+
+    this.emit('edited', message);
+};
+
+/*
+ * Tombstone a deleted post in this room's history.
+ */
+MattermostRoom.prototype._deletePost = function deletePost(post) {
+    this._sawPost(post);
+
+    var message = this._findMessage(post);
+    if (message === null || message.isDeleted()) {
+        return;
+    }
+
+    message._delete(post);
+
+    this.emit('deleted', message);
 };
 
+MattermostRoom.prototype._addReaction = function addReaction(reaction) {
+    var message = this._findMessageById(reaction.post_id);
+    if (message === null || !message._addReaction(reaction)) {
+        return;
+    }
+
+    message.emit('reaction', message, reaction.emoji_name);
+    this.emit('reaction', message, reaction.emoji_name);
+};
+
+MattermostRoom.prototype._removeReaction = function removeReaction(reaction) {
+    var message = this._findMessageById(reaction.post_id);
+    if (message === null || !message._removeReaction(reaction)) {
+        return;
+    }
+
+    message.emit('reaction', message, reaction.emoji_name);
+    this.emit('reaction', message, reaction.emoji_name);
+};
 
 MattermostRoom.prototype._loadPosts = function loadPosts(posts) {
     assert.object(posts, 'posts');
     assert.array(posts.order, 'posts.order');
     assert.object(posts.posts, 'posts.posts');
 
+    var self = this;
+
     /*
-     * Append the posts in the order the correct order so that they get
-     * emitted in the appropriate order.
+     * Load the posts in the order they were created, so that they get
+     * emitted in the appropriate order. (When fetching posts that have
+     * changed "since" some time, the server doesn't guarantee any
+     * particular order.)
      */
-    for (var i = posts.order.length - 1; i >= 0; --i) {
-        var id = posts.order[i];
-        if (mod_jsprim.hasKey(posts.posts, id)) {
-            this._loadPost(posts.posts[id]);
-        }
+    posts.order.filter(function (id) {
+        return mod_jsprim.hasKey(posts.posts, id);
+    }).map(function (id) {
+        return posts.posts[id];
+    }).sort(function (a, b) {
+        return (a.create_at - b.create_at);
+    }).forEach(function (post) {
+        self._loadPost(post);
+    });
+};
+
+/*
+ * Load up to "count" messages older than the oldest one we currently have.
+ * The callback is passed a boolean indicating whether we've now reached the
+ * beginning of the channel. If a load is already in progress, then we wait
+ * for it to finish instead of starting another one.
+ */
+MattermostRoom.prototype.loadOlder = function loadOlder(count, cb) {
+    assert.number(count, 'count');
+    assert.ok(count > 0 && count <= MAX_PAGE_SIZE,
+        'count must be between 1 and ' + MAX_PAGE_SIZE);
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    if (self.mmr_beginning) {
+        setImmediate(cb, null, true);
+        return;
+    }
+
+    if (self.mmr_older !== null) {
+        self.mmr_older.push(cb);
+        return;
+    }
+
+    self.mmr_older = [ cb ];
+
+    var params = {
+        page: 0,
+        per_page: count
+    };
+
+    var first = self.mmr_msgs.first();
+    while (first !== null && first.value().mmm_state !== 'sent') {
+        first = first.next();
+    }
+
+    if (first !== null) {
+        params.before = first.value().mmm_id;
     }
+
+    self.mmr_client.getPostsForChannel(self.mmr_id, params,
+        function (err, posts) {
+        var waiting = self.mmr_older;
+        self.mmr_older = null;
+
+        if (!err) {
+            self._loadPosts(posts);
+            self.mmr_beginning = (posts.order.length < count);
+        }
+
+        waiting.forEach(function (wcb) {
+            if (err) {
+                wcb(err);
+            } else {
+                wcb(null, self.mmr_beginning);
+            }
+        });
+    });
 };
 
 MattermostRoom.prototype._fetch = function _startFetch() {
     this.emit('fetchAsserted');
 };
 
+MattermostRoom.prototype._close = function _close() {
+    this.emit('closeAsserted');
+};
+
+/*
+ * Apply changes to the channel's properties.
+ */
+MattermostRoom.prototype._update = function _update(channel) {
+    assert.object(channel, 'channel');
+    assert.equal(channel.id, this.mmr_id, 'channel.id === this.mmr_id');
+
+    this.mmr_alias = channel.name;
+    this.mmr_name = channel.display_name;
+    this.mmr_type = channel.type;
+    this.mmr_header = channel.header || '';
+    this.mmr_purpose = channel.purpose || '';
+
+    this.emit('updated', this);
+};
+
 MattermostRoom.prototype.id = function getId() {
     return this.mmr_id;
 };
 
+/*
+ * Returns the name of the team that this room is in, or null for direct and
+ * group messages.
+ */
+MattermostRoom.prototype.team = function getTeam() {
+    return (this.mmr_team === null ? null : this.mmr_team.name);
+};
+
 MattermostRoom.prototype.alias = function getAlias() {
+    var dflt;
+
     if (this.mmr_type === 'D') {
         return this.mmr_other.mmu_username;
-    } else {
-        return this.mmr_alias;
+    } else if (this.mmr_type === 'G' && this.mmr_members !== null) {
+        return this.mmr_members.map(function (user) {
+            return user.mmu_username;
+        }).sort().join(',');
     }
+
+    dflt = (this.mmr_defaultTeam === null ? null : this.mmr_defaultTeam());
+    if (this.mmr_team !== null &&
+        (dflt === null || dflt.id !== this.mmr_team.id)) {
+        return this.mmr_team.name + '/' + this.mmr_alias;
+    }
+
+    return this.mmr_alias;
 };
 
 MattermostRoom.prototype.name = function getName() {
     if (this.mmr_type === 'D') {
         return this.mmr_other.getDisplayName();
+    } else if (this.mmr_type === 'G' && this.mmr_members !== null) {
+        return this.mmr_members.map(function (user) {
+            return user.getDisplayName();
+        }).sort().join(', ');
     } else {
         return this.mmr_name;
     }
 };
 
+/*
+ * For group messages, returns the other users in the group, or null if we
+ * haven't loaded them yet.
+ */
+MattermostRoom.prototype.members = function getMembers() {
+    return (this.mmr_members === null ? null : this.mmr_members.slice());
+};
+
+/*
+ * Load the other users in a group message.
+ */
+MattermostRoom.prototype._loadMembers = function loadMembers(cb) {
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    self.mmr_client.getChannelMembers(self.mmr_id, function (err, members) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var me = self.mmr_client.user.id;
+
+        self.mmr_members = members.filter(function (member) {
+            return member.user_id !== me;
+        }).map(function (member) {
+            return self.mmr_users.getUser(member.user_id, null);
+        });
+
+        self.emit('updated', self);
+
+        cb(null, self.mmr_members);
+    });
+};
+
+/*
+ * Record that a user is typing in this room. They're considered to be typing
+ * until we stop hearing from them, or they send their message.
+ */
+MattermostRoom.prototype._userTyping = function userTyping(uid) {
+    assert.string(uid, 'uid');
+
+    var self = this;
+    var added = !mod_jsprim.hasKey(self.mmr_typing, uid);
+
+    if (added) {
+        self.mmr_typing[uid] = {
+            user: self.mmr_users.getUser(uid, null),
+            timer: null
+        };
+    } else {
+        clearTimeout(self.mmr_typing[uid].timer);
+    }
+
+    self.mmr_typing[uid].timer = setTimeout(function () {
+        self._stoppedTyping(uid);
+    }, TYPING_EXPIRE);
+
+    if (added) {
+        self.emit('typingChanged', self.typing());
+    }
+};
+
+MattermostRoom.prototype._stoppedTyping = function stoppedTyping(uid) {
+    if (!mod_jsprim.hasKey(this.mmr_typing, uid)) {
+        return;
+    }
+
+    clearTimeout(this.mmr_typing[uid].timer);
+    delete this.mmr_typing[uid];
+
+    this.emit('typingChanged', this.typing());
+};
+
+/*
+ * Returns the users currently typing in this room.
+ */
+MattermostRoom.prototype.typing = function getTyping() {
+    var self = this;
+
+    return Object.keys(self.mmr_typing).map(function (uid) {
+        return self.mmr_typing[uid].user;
+    });
+};
+
+MattermostRoom.prototype.unreadCount = function getUnreadCount() {
+    return this.mmr_unread;
+};
+
+MattermostRoom.prototype.mentionCount = function getMentionCount() {
+    return this.mmr_mentions;
+};
+
+/*
+ * Tell the server that we've read everything in this room.
+ */
+MattermostRoom.prototype.markRead = function markRead(cb) {
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    self.mmr_client.viewChannel(self.mmr_client.user.id, self.mmr_id,
+        function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self._markViewed();
+
+        cb(null);
+    });
+};
+
+/*
+ * Seed our unread counts from our membership in the channel.
+ */
+MattermostRoom.prototype._setMembership = function setMembership(member) {
+    assert.object(member, 'member');
+
+    this.mmr_unread = Math.max(0, this.mmr_total - (member.msg_count || 0));
+    this.mmr_mentions = member.mention_count || 0;
+
+    this.emit('unreadChanged', this);
+};
+
+/*
+ * Update how many messages the channel contains, which we compare against
+ * our membership's count to find how many we haven't read.
+ */
+MattermostRoom.prototype._setTotal = function setTotal(total) {
+    this.mmr_total = total || 0;
+};
+
+MattermostRoom.prototype._loadMembership = function loadMembership(cb) {
+    var self = this;
+
+    self.mmr_client.getChannelMember(self.mmr_id, self.mmr_client.user.id,
+        function (err, member) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self._setMembership(member);
+
+        cb(null);
+    });
+};
+
+/*
+ * Count a new message from someone else as unread.
+ */
+MattermostRoom.prototype._countUnread = function countUnread(mentioned) {
+    this.mmr_unread += 1;
+
+    if (mentioned) {
+        this.mmr_mentions += 1;
+    }
+
+    this.emit('unreadChanged', this);
+};
+
+/*
+ * We (or another of our sessions) have viewed the room, so everything in it
+ * has been read.
+ */
+MattermostRoom.prototype._markViewed = function markViewed() {
+    if (this.mmr_unread === 0 && this.mmr_mentions === 0) {
+        return;
+    }
+
+    this.mmr_unread = 0;
+    this.mmr_mentions = 0;
+
+    this.emit('unreadChanged', this);
+};
+
+MattermostRoom.prototype.header = function getHeader() {
+    return this.mmr_header;
+};
+
+MattermostRoom.prototype.purpose = function getPurpose() {
+    return this.mmr_purpose;
+};
+
+/*
+ * Wrap an error from an administrative action on this room, keeping the
+ * original error's name (e.g., "PermissionDeniedError") so that consumers
+ * can tell why it failed.
+ */
+MattermostRoom.prototype._adminError = function adminError(err, action) {
+    return new VError({
+        name: err.name,
+        cause: err,
+        info: {
+            channel: this.mmr_id
+        }
+    }, 'failed to %s in %s', action, this.mmr_alias);
+};
+
+MattermostRoom.prototype._patch = function patchRoom(params, action, cb) {
+    var self = this;
+
+    self.mmr_client.patchChannel(self.mmr_id, params, function (err, chan) {
+        if (err) {
+            cb(self._adminError(err, action));
+            return;
+        }
+
+        cb(null, chan);
+    });
+};
+
+MattermostRoom.prototype.setHeader = function setHeader(header, cb) {
+    assert.string(header, 'header');
+    assert.func(cb, 'cb');
+
+    this._patch({ header: header }, 'set header', cb);
+};
+
+MattermostRoom.prototype.setPurpose = function setPurpose(purpose, cb) {
+    assert.string(purpose, 'purpose');
+    assert.func(cb, 'cb');
+
+    this._patch({ purpose: purpose }, 'set purpose', cb);
+};
+
+/*
+ * Change the room's display name.
+ */
+MattermostRoom.prototype.rename = function rename(name, cb) {
+    assert.string(name, 'name');
+    assert.func(cb, 'cb');
+
+    this._patch({ display_name: name }, 'rename channel', cb);
+};
+
+MattermostRoom.prototype.archive = function archive(cb) {
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    self.mmr_client.deleteChannel(self.mmr_id, function (err) {
+        if (err) {
+            cb(self._adminError(err, 'archive channel'));
+            return;
+        }
+
+        cb(null);
+    });
+};
+
+/*
+ * Add the named user to this room.
+ */
+MattermostRoom.prototype.invite = function invite(username, cb) {
+    assert.string(username, 'username');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var action = 'invite ' + username;
+
+    self.mmr_users.lookupUserByName(username, function (uErr, user) {
+        if (uErr) {
+            cb(self._adminError(uErr, action));
+            return;
+        }
+
+        self.mmr_client.addUserToChannel(self.mmr_id, user.id(),
+            function (err) {
+            if (err) {
+                cb(self._adminError(err, action));
+                return;
+            }
+
+            cb(null);
+        });
+    });
+};
+
+/*
+ * Remove the named user from this room.
+ */
+MattermostRoom.prototype.kick = function kick(username, cb) {
+    assert.string(username, 'username');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var action = 'kick ' + username;
+
+    self.mmr_users.lookupUserByName(username, function (uErr, user) {
+        if (uErr) {
+            cb(self._adminError(uErr, action));
+            return;
+        }
+
+        self.mmr_client.removeUserFromChannel(self.mmr_id, user.id(),
+            function (err) {
+            if (err) {
+                cb(self._adminError(err, action));
+                return;
+            }
+
+            cb(null);
+        });
+    });
+};
+
+/*
+ * Let the other members of this room know that we're typing. This can be
+ * called on every keystroke: we only notify the server every few seconds.
+ */
+MattermostRoom.prototype.sendTyping = function sendTyping(cb) {
+    assert.optionalFunc(cb, 'cb');
+
+    var now = Date.now();
+    if (now - this.mmr_typingSent < TYPING_THROTTLE) {
+        if (cb) {
+            setImmediate(cb);
+        }
+        return;
+    }
+
+    this.mmr_typingSent = now;
+
+    this.mmr_client.wsRequest('user_typing', {
+        channel_id: this.mmr_id,
+        parent_id: ''
+    }, function (err) {
+        if (cb) {
+            cb(err);
+        }
+    });
+};
+
+/*
+ * Send a message to this room. The message is added to the room's history
+ * right away as pending, and then gets replaced with the server's copy once
+ * it's been created. If we fail to create it, then the message is marked as
+ * failed, and can be resent with its retry() method.
+ */
 MattermostRoom.prototype.sendMessage = function sendMessage(msg, cb) {
     assert.string(msg, 'msg');
     assert.func(cb, 'cb');
 
-    this.mmr_client.createPost(this.mmr_id, msg, cb);
+    var me = this.mmr_client.user;
+    assert.object(me, 'must be logged in');
+
+    var now = Date.now();
+    var pending = me.id + ':' + now;
+    var message = new MattermostMessage(this,
+        this.mmr_users.getUser(me.id, null), {
+        id: pending,
+        pending_post_id: pending,
+        channel_id: this.mmr_id,
+        user_id: me.id,
+        root_id: '',
+        message: msg,
+        create_at: now,
+        update_at: now
+    });
+
+    message.mmm_state = 'pending';
+
+    this._insert(message);
+    this.emit('message', message);
+
+    this._sendPending(message, cb);
+};
+
+MattermostRoom.prototype._sendPending = function sendPending(message, cb) {
+    var self = this;
+
+    message.mmm_state = 'pending';
+
+    self.mmr_client.createPost(self.mmr_id, message.text(), {
+        pendingPostId: message.mmm_post.pending_post_id
+    }, function (err, post) {
+        if (err) {
+            message.mmm_state = 'failed';
+            message.emit('failed', message, err);
+            self.emit('failed', message, err);
+            cb(err);
+            return;
+        }
+
+        /*
+         * We may have already received the post over the WebSocket.
+         */
+        if (message.isPending()) {
+            self._confirmPending(message, post);
+        }
+
+        cb(null, post);
+    });
+};
+
+/*
+ * Find the most recent message that we sent in this room, and that hasn't
+ * been deleted. Posts that the server generates for things we do (like
+ * joining the room or changing its header) also carry our user id, but
+ * have a "type" and aren't ours to edit.
+ */
+MattermostRoom.prototype._lastOwnMessage = function lastOwnMessage() {
+    var me = this.mmr_client.user;
+    if (me === null) {
+        return null;
+    }
+
+    var node = this.mmr_msgs.last();
+    while (node !== null) {
+        var message = node.value();
+        if (message.speaker().id() === me.id && !message.isDeleted() &&
+            !message.isSystem() && !message.mmm_post.type &&
+            message.mmm_state === 'sent') {
+            return message;
+        }
+        node = node.prev();
+    }
+
+    return null;
+};
+
+/*
+ * Apply a sed-style substitution ("s/old/new/") to our most recent message
+ * in this room, and update it on the server. See parseSubstitution() for the
+ * supported syntax.
+ */
+MattermostRoom.prototype.substitute = function substitute(expr, cb) {
+    assert.string(expr, 'expr');
+    assert.func(cb, 'cb');
+
+    var sub = parseSubstitution(expr);
+    if (sub instanceof Error) {
+        setImmediate(cb, sub);
+        return;
+    }
+
+    var message = this._lastOwnMessage();
+    if (message === null) {
+        setImmediate(cb, new VError('no message of ours to edit in %s',
+            this.mmr_alias));
+        return;
+    }
+
+    var text = message.text();
+    if (!sub.regex.test(text)) {
+        setImmediate(cb, new VError('pattern %s not found in last message',
+            sub.regex));
+        return;
+    }
+
+    message.edit(text.replace(sub.regex, sub.replacement), cb);
+};
+
+/*
+ * Load the thread started by the post "rootId". Once loaded, the thread is
+ * kept up to date as new replies arrive.
+ */
+MattermostRoom.prototype.getThread = function getThread(rootId, cb) {
+    assert.string(rootId, 'rootId');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    if (mod_jsprim.hasKey(self.mmr_threads, rootId)) {
+        setImmediate(cb, null, self.mmr_threads[rootId]);
+        return;
+    }
+
+    self.mmr_client.getPostThread(rootId, function (err, posts) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        /*
+         * Someone else may have loaded the thread while we were waiting.
+         */
+        if (mod_jsprim.hasKey(self.mmr_threads, rootId)) {
+            cb(null, self.mmr_threads[rootId]);
+            return;
+        }
+
+        var thread = new MattermostThread(self, rootId);
+
+        posts.order.forEach(function (id) {
+            if (!mod_jsprim.hasKey(posts.posts, id)) {
+                return;
+            }
+
+            var post = posts.posts[id];
+            var message = self._findMessage(post);
+            if (message === null) {
+                message = self._createMessage(post, null);
+            }
+
+            thread._append(message);
+        });
+
+        self.mmr_threads[rootId] = thread;
+
+        cb(null, thread);
+    });
+};
+
+/*
+ * Upload files to this room, and then post a message with them attached.
+ * This returns an emitter that emits "progress" events with the number of
+ * bytes uploaded so far and the total number of bytes to upload.
+ */
+MattermostRoom.prototype.sendFiles = function sendFiles(paths, text, cb) {
+    assert.arrayOfString(paths, 'paths');
+    assert.string(text, 'text');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    return self.mmr_client.uploadFiles(self.mmr_id, paths,
+        function (err, res) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var ids = res.file_infos.map(function (info) {
+            return info.id;
+        });
+
+        self.mmr_client.createPost(self.mmr_id, text, {
+            fileIds: ids
+        }, cb);
+    });
 };
 
 MattermostRoom.prototype.forEachMessage = function forEachMessage(f) {
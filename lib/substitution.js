@@ -0,0 +1,154 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+
+// --- Internal helpers
+
+/*
+ * Split a pattern or replacement on unescaped delimiters. A backslash before
+ * the delimiter makes it part of the text; all other escapes are left for
+ * the pattern or replacement to interpret.
+ */
+function splitOnDelimiter(str, delim) {
+    var parts = [ '' ];
+
+    for (var i = 0; i < str.length; ++i) {
+        var c = str[i];
+        if (c === '\\' && str[i + 1] === delim) {
+            parts[parts.length - 1] += delim;
+            i += 1;
+        } else if (c === '\\' && i + 1 < str.length) {
+            parts[parts.length - 1] += c + str[i + 1];
+            i += 1;
+        } else if (c === delim) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += c;
+        }
+    }
+
+    return parts;
+}
+
+/*
+ * Break a sed replacement into literal strings and references to the match
+ * (numbered by group, with 0 for the whole match). As in sed, "&" is the
+ * whole match, "\1" through "\9" are groups, "\n" is a newline, and a
+ * backslash before any other character makes it literal.
+ */
+function parseReplacement(str) {
+    var pieces = [];
+    var literal = '';
+
+    function addRef(ref) {
+        if (literal !== '') {
+            pieces.push(literal);
+            literal = '';
+        }
+        pieces.push(ref);
+    }
+
+    for (var i = 0; i < str.length; ++i) {
+        var c = str[i];
+        if (c === '&') {
+            addRef(0);
+        } else if (c !== '\\' || i + 1 === str.length) {
+            literal += c;
+        } else {
+            c = str[++i];
+            if (c >= '1' && c <= '9') {
+                addRef(Number(c));
+            } else if (c === 'n') {
+                literal += '\n';
+            } else {
+                literal += c;
+            }
+        }
+    }
+
+    if (literal !== '') {
+        pieces.push(literal);
+    }
+
+    return pieces;
+}
+
+function countGroups(regex) {
+    return new RegExp('(?:' + regex.source + ')|').exec('').length - 1;
+}
+
+
+// --- Exports
+
+/*
+ * Parse a sed-style substitution of the form "s/old/new/flags". Like sed, any
+ * character can be used as the delimiter, and can be escaped with a backslash
+ * to appear within the pattern or replacement. The pattern is a JavaScript
+ * regular expression, but the replacement uses sed's syntax (see
+ * parseReplacement()). The only supported flags are "g" (replace all matches)
+ * and "i" (ignore case).
+ *
+ * Returns an object with the "regex" to search for and a "replacement"
+ * function, which can be passed together to String.prototype.replace().
+ */
+function parseSubstitution(expr) {
+    assert.string(expr, 'expr');
+
+    if (expr.length < 2 || expr[0] !== 's') {
+        return new VError('substitution must start with "s": %j', expr);
+    }
+
+    var parts = splitOnDelimiter(expr.slice(2), expr[1]);
+    if (parts.length !== 3 || !/^[gi]*$/.test(parts[2])) {
+        return new VError('malformed substitution: %j', expr);
+    }
+
+    var regex;
+
+    try {
+        regex = new RegExp(parts[0], parts[2]);
+    } catch (e) {
+        return new VError(e, 'invalid pattern in substitution %j', expr);
+    }
+
+    var pieces = parseReplacement(parts[1]);
+    var groups = countGroups(regex);
+
+    for (var i = 0; i < pieces.length; ++i) {
+        if (typeof (pieces[i]) === 'number' && pieces[i] > groups) {
+            return new VError('invalid reference \\%d in substitution %j',
+                pieces[i], expr);
+        }
+    }
+
+    return {
+        regex: regex,
+        replacement: function replace() {
+            var match = arguments;
+
+            return pieces.map(function (piece) {
+                if (typeof (piece) === 'string') {
+                    return piece;
+                }
+
+                return (match[piece] === undefined ? '' : match[piece]);
+            }).join('');
+        }
+    };
+}
+
+module.exports = {
+    parseSubstitution: parseSubstitution
+};
@@ -0,0 +1,186 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_util = require('util');
+
+var MattermostMessage = require('./message');
+
+// --- Globals
+
+/*
+ * For system messages that record a change to a channel property, the names
+ * of the "props" holding the old and new values.
+ */
+var CHANGE_PROPS = {
+    'header_change': [ 'old_header', 'new_header' ],
+    'purpose_change': [ 'old_purpose', 'new_purpose' ],
+    'displayname_change': [ 'old_displayname', 'new_displayname' ]
+};
+
+// --- Internal helpers
+
+function getProp(props, name) {
+    if (typeof (props[name]) === 'string' && props[name] !== '') {
+        return props[name];
+    }
+
+    return null;
+}
+
+// --- Exports
+
+/**
+ * A message generated by the server to record something that happened in a
+ * room, like a user joining it or its header being changed.
+ */
+function MattermostSystemMessage(room, speaker, post) {
+    assert.string(post.type, 'post.type');
+
+    MattermostMessage.call(this, room, speaker, post);
+}
+mod_util.inherits(MattermostSystemMessage, MattermostMessage);
+
+MattermostSystemMessage.isSystemPost = function isSystemPost(post) {
+    return (typeof (post.type) === 'string' &&
+        post.type.indexOf('system_') === 0);
+};
+
+MattermostSystemMessage.prototype.isSystem = function isSystem() {
+    return true;
+};
+
+/*
+ * The server's text for system messages often names users (e.g., "@cody
+ * added to the channel by @alice"), but these never count as mentions.
+ */
+MattermostSystemMessage.prototype.mentions = function getMentions() {
+    return [];
+};
+
+/*
+ * Returns what kind of system message this is, like "join_channel" or
+ * "header_change".
+ */
+MattermostSystemMessage.prototype.kind = function getKind() {
+    return this.mmm_post.type.replace(/^system_/, '');
+};
+
+MattermostSystemMessage.prototype._props = function getProps() {
+    return this.mmm_post.props || {};
+};
+
+/*
+ * Returns the user who caused this message (e.g., the user who joined the
+ * channel, or who changed its header).
+ */
+MattermostSystemMessage.prototype.actor = function getActor() {
+    return this.mmm_speaker;
+};
+
+/*
+ * Returns the user that was acted upon, for messages about someone being
+ * added to or removed from the channel. Older servers only tell us the
+ * user's name, so we may not be able to find them.
+ */
+MattermostSystemMessage.prototype.target = function getTarget() {
+    var props = this._props();
+    var users = this.mmm_room.mmr_users;
+    var id, name;
+
+    switch (this.kind()) {
+    case 'add_to_channel':
+        id = getProp(props, 'addedUserId');
+        name = getProp(props, 'addedUsername');
+        break;
+    case 'remove_from_channel':
+        id = getProp(props, 'removedUserId');
+        name = getProp(props, 'removedUsername');
+        break;
+    default:
+        return null;
+    }
+
+    if (id !== null) {
+        return users.getUser(id, null);
+    }
+
+    if (name !== null) {
+        return users.getUserByName(name);
+    }
+
+    return null;
+};
+
+/*
+ * For messages about a channel property changing, return the old value.
+ */
+MattermostSystemMessage.prototype.oldValue = function getOldValue() {
+    var names = CHANGE_PROPS[this.kind()];
+    if (names === undefined) {
+        return null;
+    }
+
+    return getProp(this._props(), names[0]);
+};
+
+/*
+ * For messages about a channel property changing, return the new value.
+ */
+MattermostSystemMessage.prototype.newValue = function getNewValue() {
+    var names = CHANGE_PROPS[this.kind()];
+    if (names === undefined) {
+        return null;
+    }
+
+    return getProp(this._props(), names[1]);
+};
+
+/*
+ * Render a short description of what happened, like "alice joined the
+ * channel", suitable for showing in a timeline.
+ */
+MattermostSystemMessage.prototype.render = function render() {
+    var props = this._props();
+    var actor = this.actor().getDisplayName() ||
+        getProp(props, 'username') || 'someone';
+    var target = this.target();
+    var tname = (target !== null ? target.getDisplayName() : null) ||
+        getProp(props, 'addedUsername') ||
+        getProp(props, 'removedUsername') || 'someone';
+    var value = this.newValue();
+
+    switch (this.kind()) {
+    case 'join_channel':
+        return actor + ' joined the channel';
+    case 'leave_channel':
+        return actor + ' left the channel';
+    case 'add_to_channel':
+        return tname + ' was added to the channel by ' + actor;
+    case 'remove_from_channel':
+        return tname + ' was removed from the channel';
+    case 'header_change':
+        return (value === null ? actor + ' removed the channel header' :
+            actor + ' changed the channel header to: ' + value);
+    case 'purpose_change':
+        return (value === null ? actor + ' removed the channel purpose' :
+            actor + ' changed the channel purpose to: ' + value);
+    case 'displayname_change':
+        return actor + ' renamed the channel to: ' + value;
+    case 'channel_deleted':
+        return actor + ' archived the channel';
+    default:
+        return this.text();
+    }
+};
+
+module.exports = MattermostSystemMessage;
@@ -0,0 +1,85 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_events = require('events');
+var mod_jsprim = require('jsprim');
+var mod_taiga = require('taiga');
+var mod_util = require('util');
+
+var MattermostMessage = require('./message');
+
+// --- Exports
+
+/**
+ * A thread of replies within a room, ordered by when they were posted. The
+ * thread starts with its root post, and emits "message" for each new reply.
+ */
+function MattermostThread(room, rootId) {
+    assert.object(room, 'room');
+    assert.string(rootId, 'rootId');
+
+    this.mmt_room = room;
+    this.mmt_root = rootId;
+    this.mmt_msgs = new mod_taiga.AVLTree({
+        compare: MattermostMessage.compare
+    });
+    this.mmt_ids = {};
+
+    mod_events.EventEmitter.call(this);
+}
+mod_util.inherits(MattermostThread, mod_events.EventEmitter);
+
+MattermostThread.prototype.rootId = function getRootId() {
+    return this.mmt_root;
+};
+
+MattermostThread.prototype.room = function getRoom() {
+    return this.mmt_room;
+};
+
+MattermostThread.prototype.length = function getLength() {
+    return this.mmt_msgs.length;
+};
+
+/*
+ * Add a message to the thread. Messages we've already seen are ignored, so
+ * that replies we loaded from the server don't get added again when they're
+ * also delivered over the WebSocket.
+ */
+MattermostThread.prototype._append = function appendMessage(message) {
+    if (message.mmm_id !== null) {
+        if (mod_jsprim.hasKey(this.mmt_ids, message.mmm_id)) {
+            return;
+        }
+        this.mmt_ids[message.mmm_id] = true;
+    }
+
+    this.mmt_msgs.insert(message);
+
+    this.emit('message', message);
+};
+
+MattermostThread.prototype.reply = function replyToThread(text, cb) {
+    assert.string(text, 'text');
+    assert.func(cb, 'cb');
+
+    this.mmt_room.mmr_client.createPost(this.mmt_room.mmr_id, text, {
+        rootId: this.mmt_root
+    }, cb);
+};
+
+MattermostThread.prototype.forEachMessage = function forEachMessage(f) {
+    this.mmt_msgs.forEach(f);
+};
+
+module.exports = MattermostThread;
@@ -12,11 +12,14 @@
 
 var assert = require('assert-plus');
 var LOMStream = require('lomstream').LOMStream;
+var mod_events = require('events');
 var mod_taiga = require('taiga');
+var mod_util = require('util');
 
 // --- Globals
 
 var FETCH_USER_LIMIT = 200;
+var FETCH_STATUS_LIMIT = 200;
 
 
 // --- Internal helpers
@@ -68,6 +71,7 @@ function MattermostUser(id) {
     this.mmu_id = id;
     this.mmu_username = null;
     this.mmu_nickname = null;
+    this.mmu_status = 'offline';
     this.mmu_unode = null;
     this.mmu_nnode = null;
 }
@@ -84,6 +88,14 @@ MattermostUser.prototype.id = function () {
     return this.mmu_id;
 };
 
+/*
+ * Returns the user's current status, which is one of "online", "away", "dnd"
+ * or "offline".
+ */
+MattermostUser.prototype.status = function () {
+    return this.mmu_status;
+};
+
 MattermostUser.prototype.getDisplayName = function () {
     if (this.mmu_nickname !== null && this.mmu_nickname !== '') {
         return this.mmu_nickname;
@@ -106,7 +118,10 @@ function MattermostUserDB(opts) {
 
     this.mud_uids = new mod_taiga.AVLTree({ compare: compareUserID });
     this.mud_name = new mod_taiga.AVLTree({ compare: compareUserName });
+
+    mod_events.EventEmitter.call(this);
 }
+mod_util.inherits(MattermostUserDB, mod_events.EventEmitter);
 
 
 MattermostUserDB.prototype.getUserById = function getUserById(id) {
@@ -131,6 +146,45 @@ MattermostUserDB.prototype.getUserByName = function getUserByName(name) {
     return user.value();
 };
 
+/*
+ * Find a user by their username, asking the server about them if we don't
+ * already know who they are.
+ */
+MattermostUserDB.prototype.lookupUserByName =
+    function lookupUserByName(name, callback) {
+    assert.string(name, 'name');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    var user = self.getUserByName(name);
+    if (user !== null) {
+        setImmediate(callback, null, user);
+        return;
+    }
+
+    self.mud_client.getUserByName(name, function (err, data) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        user = self.getUserById(data.id);
+        if (user === null) {
+            user = new MattermostUser(data.id);
+            user.mmu_unode = self.mud_uids.insert(user);
+        }
+
+        user.update(data);
+
+        if (user.mmu_nnode === null) {
+            user.mmu_nnode = self.mud_name.insert(user);
+        }
+
+        callback(null, user);
+    });
+};
+
 MattermostUserDB.prototype.getUser = function getUser(id, nickname) {
     var user = this.getUserById(id);
     if (user !== null) {
@@ -179,6 +233,62 @@ MattermostUserDB.prototype.loadAllUsers = function loadAllUsers(callback) {
 };
 
 
+/*
+ * Fetch the current status of every user we know about.
+ */
+MattermostUserDB.prototype.loadStatuses = function loadStatuses(callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var ids = self.mud_uids.toArray().map(function (user) {
+        return user.mmu_id;
+    });
+
+    function fetchBatch(offset) {
+        if (offset >= ids.length) {
+            callback();
+            return;
+        }
+
+        var batch = ids.slice(offset, offset + FETCH_STATUS_LIMIT);
+
+        self.mud_client.getUserStatusesByIds(batch, function (err, statuses) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            statuses.forEach(function (status) {
+                self._updateStatus(status.user_id, status.status);
+            });
+
+            fetchBatch(offset + FETCH_STATUS_LIMIT);
+        });
+    }
+
+    fetchBatch(0);
+};
+
+
+/*
+ * Record a user's new status, and let listeners know if it changed.
+ */
+MattermostUserDB.prototype._updateStatus = function (id, status) {
+    assert.string(id, 'id');
+    assert.string(status, 'status');
+
+    var user = this.getUser(id, null);
+    var old = user.mmu_status;
+    if (old === status) {
+        return;
+    }
+
+    user.mmu_status = status;
+
+    this.emit('statusChanged', user, status, old);
+};
+
+
 MattermostUserDB.prototype._fillIn = function (user) {
     assert.object(user, 'user');
 
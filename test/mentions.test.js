@@ -0,0 +1,102 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var test = require('tape');
+
+var MentionMatcher = require('../lib/mentions');
+
+// --- Helpers
+
+function keys(matcher, text) {
+    return matcher.match(text).map(function (span) {
+        return text.slice(span.start, span.end) + '=' + span.key;
+    });
+}
+
+// --- Tests
+
+test('default keys', function (t) {
+    var matcher = new MentionMatcher({ username: 'bob' });
+
+    t.deepEqual(keys(matcher, 'hey @bob'), [ '@bob=@bob' ]);
+    t.deepEqual(keys(matcher, 'ask Bob'), [ 'Bob=bob' ]);
+    t.deepEqual(keys(matcher, '@channel @all @here'),
+        [ '@channel=@channel', '@all=@all', '@here=@here' ]);
+    t.deepEqual(keys(matcher, 'bobby and @bobcat'), []);
+    t.deepEqual(keys(matcher, 'nothing to see'), []);
+    t.end();
+});
+
+test('span offsets', function (t) {
+    var matcher = new MentionMatcher({ username: 'bob' });
+
+    t.deepEqual(matcher.match('hi @bob!'), [
+        { start: 3, end: 7, key: '@bob' }
+    ]);
+    t.end();
+});
+
+test('notification preferences', function (t) {
+    var matcher = new MentionMatcher({
+        username: 'cody.mello',
+        first_name: 'Cody',
+        notify_props: {
+            mention_keys: 'deploy, cody.mello',
+            first_name: 'true',
+            channel: 'false'
+        }
+    });
+
+    t.deepEqual(keys(matcher, '@cody.mello, deploy it'),
+        [ '@cody.mello=@cody.mello', 'deploy=deploy' ]);
+    t.deepEqual(keys(matcher, 'Cody said'), [ 'Cody=Cody' ]);
+    t.deepEqual(keys(matcher, 'cody said'), [],
+        'first name is case-sensitive');
+    t.deepEqual(keys(matcher, 'DEPLOY now'), [ 'DEPLOY=deploy' ]);
+    t.deepEqual(keys(matcher, '@channel'), [],
+        'channel-wide mentions are disabled');
+    t.end();
+});
+
+test('username only counts with "@" when not in mention_keys', function (t) {
+    var matcher = new MentionMatcher({
+        username: 'bob',
+        notify_props: {
+            mention_keys: 'builds'
+        }
+    });
+
+    t.deepEqual(keys(matcher, 'bob and builds'), [ 'builds=builds' ]);
+    t.deepEqual(keys(matcher, '@bob'), [ '@bob=@bob' ]);
+    t.end();
+});
+
+test('overlapping and repeated matches', function (t) {
+    var matcher = new MentionMatcher({ username: 'bob' });
+
+    t.deepEqual(keys(matcher, '@bob bob,bob'),
+        [ '@bob=@bob', 'bob=bob', 'bob=bob' ]);
+    t.deepEqual(keys(matcher, 'email bob@example.com'), [ 'bob=bob' ]);
+    t.end();
+});
+
+test('names continue through "." and "-"', function (t) {
+    var matcher = new MentionMatcher({ username: 'bob' });
+
+    t.deepEqual(keys(matcher, 'ping @bob.smith'), []);
+    t.deepEqual(keys(matcher, '@bob-bot is down'), []);
+    t.deepEqual(keys(matcher, 'ask alice.bob'), []);
+    t.deepEqual(keys(matcher, 'thanks @bob.'), [ '@bob=@bob' ]);
+    t.deepEqual(keys(matcher, 'bob... are you there?'), [ 'bob=bob' ]);
+    t.deepEqual(keys(matcher, '@bob-, @bob.'), [ '@bob=@bob', '@bob=@bob' ]);
+    t.end();
+});
@@ -0,0 +1,101 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var test = require('tape');
+
+var MattermostMessage = require('../lib/message');
+
+// --- Helpers
+
+function fileInfo(id) {
+    return {
+        id: id,
+        name: id + '.txt',
+        size: 1,
+        mime_type: 'text/plain',
+        extension: 'txt'
+    };
+}
+
+/*
+ * Create a message in a room whose client records the posts that file
+ * information gets looked up for.
+ */
+function createMessage(post) {
+    var client = {
+        lookups: [],
+        getFileInfosForPost: function (id, cb) {
+            client.lookups.push(id);
+            setImmediate(cb, null, post.file_ids.map(fileInfo));
+        }
+    };
+
+    return new MattermostMessage({ mmr_client: client }, {}, post);
+}
+
+function names(message) {
+    return message.attachments().map(function (file) {
+        return file.name();
+    });
+}
+
+// --- Tests
+
+test('file information is fetched once per post', function (t) {
+    var message = createMessage({
+        id: 'post',
+        message: 'files',
+        file_ids: [ 'a', 'b', 'c' ]
+    });
+
+    t.deepEqual(names(message), [ null, null, null ]);
+
+    message.on('attachments', function () {
+        t.deepEqual(message.mmm_room.mmr_client.lookups, [ 'post' ]);
+        t.deepEqual(names(message), [ 'a.txt', 'b.txt', 'c.txt' ]);
+        t.end();
+    });
+});
+
+test('edits and confirmations update attachments', function (t) {
+    var message = createMessage({
+        id: 'post',
+        message: 'files',
+        metadata: {
+            files: [ fileInfo('a') ]
+        }
+    });
+
+    t.deepEqual(names(message), [ 'a.txt' ]);
+
+    var first = message.attachments()[0];
+
+    message._edit({
+        id: 'post',
+        message: 'more files',
+        metadata: {
+            files: [ fileInfo('a'), fileInfo('b') ]
+        }
+    });
+
+    t.deepEqual(names(message), [ 'a.txt', 'b.txt' ]);
+    t.equal(message.attachments()[0], first, 'attachments are reused');
+
+    message._confirm({
+        id: 'confirmed',
+        message: 'no files'
+    });
+
+    t.deepEqual(names(message), []);
+    t.deepEqual(message.mmm_room.mmr_client.lookups, []);
+    t.end();
+});
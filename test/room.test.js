@@ -0,0 +1,113 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var mod_events = require('events');
+var test = require('tape');
+
+var MattermostRoom = require('../lib/room');
+
+// --- Helpers
+
+function speaker(id) {
+    return {
+        id: function () {
+            return id;
+        }
+    };
+}
+
+/*
+ * Create a room whose client records the edits made through it, with a
+ * post() method for adding posts to its history.
+ */
+function createRoom() {
+    var client = new mod_events.EventEmitter();
+    client.user = { id: 'me' };
+    client.patches = [];
+    client.patchPost = function (id, patch, cb) {
+        client.patches.push({ id: id, message: patch.message });
+        setImmediate(cb, null);
+    };
+
+    var room = new MattermostRoom({
+        client: client,
+        users: {
+            getUser: speaker
+        },
+        channel: {
+            id: 'channel',
+            name: 'town-square',
+            type: 'O'
+        }
+    });
+
+    var created = 0;
+    room.post = function (user, message, type) {
+        created += 1;
+        room._loadPost({
+            id: 'post' + created,
+            user_id: user,
+            create_at: created,
+            message: message,
+            type: type || ''
+        });
+    };
+
+    return room;
+}
+
+// --- Tests
+
+test('substitute edits our last message', function (t) {
+    var room = createRoom();
+
+    room.post('me', 'teh first');
+    room.post('me', 'teh second');
+    room.post('other', 'teh third');
+
+    room.substitute('s/teh/the/', function (err) {
+        t.ifError(err);
+        t.deepEqual(room.mmr_client.patches, [
+            { id: 'post2', message: 'the second' }
+        ]);
+        t.end();
+    });
+});
+
+test('substitute skips system messages', function (t) {
+    var room = createRoom();
+
+    room.post('me', 'teh message');
+    room.post('me', 'me joined the channel', 'system_join_channel');
+    room.post('me', 'me updated the header', 'system_header_change');
+
+    room.substitute('s/teh/the/', function (err) {
+        t.ifError(err);
+        t.deepEqual(room.mmr_client.patches, [
+            { id: 'post1', message: 'the message' }
+        ]);
+        t.end();
+    });
+});
+
+test('substitute fails without a message of ours', function (t) {
+    var room = createRoom();
+
+    room.post('other', 'teh message');
+    room.post('me', 'me joined the channel', 'system_join_channel');
+
+    room.substitute('s/teh/the/', function (err) {
+        t.ok(err, 'substitution fails');
+        t.deepEqual(room.mmr_client.patches, []);
+        t.end();
+    });
+});
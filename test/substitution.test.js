@@ -0,0 +1,84 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2018, Cody Mello.
+ */
+
+'use strict';
+
+var test = require('tape');
+
+var parseSubstitution = require('../lib/substitution').parseSubstitution;
+
+// --- Helpers
+
+function substitute(t, expr, text, expected) {
+    var sub = parseSubstitution(expr);
+    if (sub instanceof Error) {
+        t.ifError(sub, expr);
+        return;
+    }
+
+    t.equal(text.replace(sub.regex, sub.replacement), expected, expr);
+}
+
+function malformed(t, expr, msg) {
+    var sub = parseSubstitution(expr);
+    t.ok(sub instanceof Error, expr + ' fails');
+    if (sub instanceof Error) {
+        t.ok(sub.message.indexOf(msg) !== -1, sub.message);
+    }
+}
+
+// --- Tests
+
+test('simple substitutions', function (t) {
+    substitute(t, 's/teh/the/', 'teh cat', 'the cat');
+    substitute(t, 's/a/b/', 'aaa', 'baa');
+    substitute(t, 's/a/b/g', 'aaa', 'bbb');
+    substitute(t, 's/A/b/i', 'aaa', 'baa');
+    substitute(t, 's/A/b/gi', 'aAa', 'bbb');
+    substitute(t, 's/ cat//', 'the cat', 'the');
+    t.end();
+});
+
+test('alternate and escaped delimiters', function (t) {
+    substitute(t, 's|/usr|/opt|', 'see /usr/bin', 'see /opt/bin');
+    substitute(t, 's/\\/usr/\\/opt/', 'see /usr/bin', 'see /opt/bin');
+    substitute(t, 's#a\\#b#c#', 'a#b', 'c');
+    t.end();
+});
+
+test('sed replacement syntax', function (t) {
+    substitute(t, 's/cat/[&]/', 'the cat', 'the [cat]');
+    substitute(t, 's/cat/\\&/', 'the cat', 'the &');
+    substitute(t, 's/\\(a\\)//', '(a)b', 'b');
+    substitute(t, 's/(\\w+) (\\w+)/\\2 \\1/', 'hello world', 'world hello');
+    substitute(t, 's/(a)|(b)/[\\2]/g', 'ab', '[][b]');
+    substitute(t, 's/ /\\n/', 'a b', 'a\nb');
+    substitute(t, 's/x/\\\\/', 'axb', 'a\\b');
+    t.end();
+});
+
+test('dollar signs in replacements are literal', function (t) {
+    substitute(t, 's/cat/$&/', 'the cat', 'the $cat');
+    substitute(t, 's/(c)at/$1/', 'the cat', 'the $1');
+    substitute(t, 's/cost/$5/', 'cost', '$5');
+    t.end();
+});
+
+test('malformed substitutions', function (t) {
+    malformed(t, '', 'must start with "s"');
+    malformed(t, 'x/a/b/', 'must start with "s"');
+    malformed(t, 's/a/b', 'malformed substitution');
+    malformed(t, 's/a/b/c/', 'malformed substitution');
+    malformed(t, 's/a/b/x', 'malformed substitution');
+    malformed(t, 's/(/b/', 'invalid pattern');
+    malformed(t, 's/(a)/\\2/', 'invalid reference \\2');
+    malformed(t, 's/a/\\1/', 'invalid reference \\1');
+    t.end();
+});